@@ -0,0 +1,255 @@
+import {
+  getAllMonsterNames,
+  getMonsterVariants,
+  loadMonsterVariant,
+} from "./monsterIndex";
+import {
+  CHALLENGE_RATINGS,
+  parseChallengeRating,
+  summarizeStatblock,
+  matchesBestiaryFilters,
+} from "./bestiarySummary";
+import { renderStatBlock } from "./renderer";
+
+// Long lists are slow to render and useless to scroll; filters narrow them
+const MAX_RESULTS = 100;
+
+// Statblocks loaded at once while filling in CR, type, size and environment
+const MAX_CONCURRENT_LOADS = 6;
+
+// Re-render the list after this many statblocks load, not after every one
+const RENDER_EVERY = 25;
+
+/**
+ * Fill a filter select with "any" plus the given values, keeping the
+ * current choice if it's still there
+ */
+function setSelectOptions(select, anyLabel, values, labels = values) {
+  const current = select.value;
+  const options = values.map((value, i) => new Option(labels[i], value));
+  select.replaceChildren(new Option(anyLabel, ""), ...options);
+  select.value = values.includes(current) ? current : "";
+}
+
+/**
+ * Wire up the bestiary browser panel. Every indexed monster is listed (one
+ * row per book); statblocks are loaded in the background the first time
+ * the panel opens so CR, type, size and environment can be filtered on.
+ * @param {Object} elements - Panel elements
+ * @param {HTMLButtonElement} elements.toggleButton - Shows/hides the panel
+ * @param {HTMLElement} elements.panel - The bestiary panel
+ * @param {HTMLInputElement} elements.searchInput - Name search
+ * @param {HTMLSelectElement} elements.minCrSelect - Lowest challenge rating
+ * @param {HTMLSelectElement} elements.maxCrSelect - Highest challenge rating
+ * @param {HTMLSelectElement} elements.typeSelect - Creature type
+ * @param {HTMLSelectElement} elements.sizeSelect - Creature size
+ * @param {HTMLSelectElement} elements.environmentSelect - Environment
+ * @param {HTMLSelectElement} elements.bookSelect - Source book
+ * @param {HTMLElement} elements.statusLabel - Shows loading progress
+ * @param {HTMLElement} elements.resultList - Matching monsters
+ * @param {HTMLElement} elements.preview - Where a clicked monster's statblock is shown
+ * @param {Object} monsterIndex - From createMonsterIndex()
+ * @param {Function} [onAddMonster] - (key, variant, statblock) for the
+ *   preview's "Add to encounter" button; no button without it
+ * @returns {Object} { invalidate(changes) } - Call after the index is
+ *   refreshed, with what refreshMonsterIndex() returned
+ */
+export function setupBestiaryBrowser(elements, monsterIndex, onAddMonster = null) {
+  const {
+    toggleButton,
+    panel,
+    searchInput,
+    minCrSelect,
+    maxCrSelect,
+    typeSelect,
+    sizeSelect,
+    environmentSelect,
+    bookSelect,
+    statusLabel,
+    resultList,
+    preview,
+  } = elements;
+
+  // ref → summary for every variant loaded so far. Statblocks aren't kept;
+  // the preview loads them again, from the sources' own caches
+  const summaries = new Map();
+  let entries = null;
+  let loadingGeneration = 0;
+
+  const buildEntries = () => getAllMonsterNames(monsterIndex).flatMap((key) => {
+    const name = monsterIndex.entries.get(key).name;
+    return getMonsterVariants(key, monsterIndex).map((variant) => {
+      const ref = `${variant.sourceId}:${key}:${variant.book}`;
+      return { ref, key, name, book: variant.book, variant, summary: summaries.get(ref) };
+    });
+  });
+
+  const readFilters = () => ({
+    text: searchInput.value,
+    minCr: parseChallengeRating(minCrSelect.value),
+    maxCr: parseChallengeRating(maxCrSelect.value),
+    type: typeSelect.value,
+    size: sizeSelect.value,
+    environment: environmentSelect.value,
+    book: bookSelect.value,
+  });
+
+  // Only offer values some monster actually has
+  const renderFilterOptions = () => {
+    const summaries = entries.map(entry => entry.summary).filter(Boolean);
+    const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+
+    setSelectOptions(typeSelect, "Any type", distinct(summaries.map(summary => summary.type)));
+    setSelectOptions(sizeSelect, "Any size", distinct(summaries.map(summary => summary.size)));
+    setSelectOptions(environmentSelect, "Any environment", distinct(summaries.flatMap(summary => summary.environments)));
+    setSelectOptions(bookSelect, "Any source", distinct(entries.map(entry => entry.book)));
+  };
+
+  const showPreview = async (entry) => {
+    preview.textContent = "Loading…";
+    preview.hidden = false;
+
+    let statblock = null;
+    try {
+      statblock = await loadMonsterVariant(entry.key, entry.variant, monsterIndex);
+    } catch (e) {
+      console.error(`Couldn't load ${entry.name} (${entry.book}):`, e);
+    }
+
+    if (statblock) {
+      preview.innerHTML = renderStatBlock(statblock);
+    } else {
+      const empty = document.createElement("div");
+      empty.className = "empty-state";
+      empty.textContent = `Couldn't load ${entry.name}`;
+      preview.replaceChildren(empty);
+    }
+    if (statblock && onAddMonster) {
+      const addButton = document.createElement("button");
+      addButton.className = "row-action";
+      addButton.textContent = "Add to encounter";
+      addButton.addEventListener("click", () => onAddMonster(entry.key, entry.variant, statblock));
+      preview.prepend(addButton);
+    }
+    preview.hidden = false;
+    preview.scrollIntoView({ block: "nearest" });
+  };
+
+  const renderResults = () => {
+    const filters = readFilters();
+    const matches = entries.filter(entry => matchesBestiaryFilters(entry, filters));
+
+    const rows = matches.slice(0, MAX_RESULTS).map((entry) => {
+      const row = document.createElement("li");
+      const button = document.createElement("button");
+      button.className = "bestiary-result";
+      button.textContent = entry.name;
+
+      const info = document.createElement("span");
+      info.className = "bestiary-result-info";
+      info.textContent = entry.summary?.crLabel ? `CR ${entry.summary.crLabel} · ${entry.book}` : entry.book;
+      button.appendChild(info);
+
+      button.addEventListener("click", () => showPreview(entry));
+      row.appendChild(button);
+      return row;
+    });
+
+    if (rows.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "empty-state";
+      empty.textContent = entries.length === 0 ? "No monsters indexed yet" : "No monsters match";
+      rows.push(empty);
+    } else if (matches.length > MAX_RESULTS) {
+      const more = document.createElement("li");
+      more.className = "bestiary-results-more";
+      more.textContent = `${matches.length - MAX_RESULTS} more, narrow the filters to see them`;
+      rows.push(more);
+    }
+
+    resultList.replaceChildren(...rows);
+  };
+
+  // Load statblocks for every entry without a summary, a few at a time
+  const loadDetails = async () => {
+    const generation = ++loadingGeneration;
+    const pending = entries.filter(entry => !entry.summary);
+    let loaded = 0;
+
+    const loadNext = async () => {
+      while (pending.length > 0 && generation === loadingGeneration) {
+        const entry = pending.shift();
+        try {
+          const statblock = await loadMonsterVariant(entry.key, entry.variant, monsterIndex);
+          const summary = summarizeStatblock(statblock, entry.book);
+          summaries.set(entry.ref, summary);
+          entry.summary = summary;
+        } catch (e) {
+          console.warn(`Couldn't load ${entry.name} (${entry.book}) for the bestiary:`, e);
+        }
+
+        loaded++;
+        statusLabel.textContent = `Loading monster details: ${loaded} of ${loaded + pending.length}…`;
+        if (loaded % RENDER_EVERY === 0) {
+          renderFilterOptions();
+          renderResults();
+        }
+      }
+    };
+
+    if (pending.length > 0) {
+      await Promise.all(Array.from({ length: MAX_CONCURRENT_LOADS }, loadNext));
+    }
+
+    if (generation === loadingGeneration) {
+      statusLabel.textContent = "";
+      renderFilterOptions();
+      renderResults();
+    }
+  };
+
+  const open = () => {
+    if (!entries) {
+      entries = buildEntries();
+      renderFilterOptions();
+      renderResults();
+      loadDetails();
+    }
+  };
+
+  setSelectOptions(minCrSelect, "Min CR", CHALLENGE_RATINGS, CHALLENGE_RATINGS.map(cr => `CR ${cr}+`));
+  setSelectOptions(maxCrSelect, "Max CR", CHALLENGE_RATINGS, CHALLENGE_RATINGS.map(cr => `CR ≤ ${cr}`));
+
+  toggleButton.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleButton.classList.toggle("open", !panel.hidden);
+    if (!panel.hidden) {
+      open();
+      searchInput.focus();
+    }
+  });
+
+  searchInput.addEventListener("input", renderResults);
+  for (const select of [minCrSelect, maxCrSelect, typeSelect, sizeSelect, environmentSelect, bookSelect]) {
+    select.addEventListener("change", renderResults);
+  }
+
+  return {
+    // Pick up added and removed monsters, and reload only the ones that changed
+    invalidate(changes) {
+      const changedPrefixes = changes.map(change => `${change.sourceId}:${change.key}:`);
+      for (const ref of summaries.keys()) {
+        if (changedPrefixes.some(prefix => ref.startsWith(prefix))) {
+          summaries.delete(ref);
+        }
+      }
+
+      loadingGeneration++;
+      entries = null;
+      statusLabel.textContent = "";
+      if (!panel.hidden) {
+        open();
+      }
+    },
+  };
+}
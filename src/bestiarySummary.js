@@ -0,0 +1,101 @@
+/**
+ * Challenge ratings below 1, which statblocks write as fractions
+ */
+const FRACTIONAL_RATINGS = {
+  "1/8": 0.125,
+  "1/4": 0.25,
+  "1/2": 0.5,
+};
+
+/**
+ * Every challenge rating, lowest first, as statblocks write them
+ */
+export const CHALLENGE_RATINGS = [
+  "0",
+  ...Object.keys(FRACTIONAL_RATINGS),
+  ...Array.from({ length: 30 }, (_, i) => String(i + 1)),
+];
+
+/**
+ * Turn a challenge rating into a number for comparing
+ * @param {string|number} cr - "1/4", "5", 0.25, 5
+ * @returns {number|null} The rating, or null if there isn't one
+ */
+export function parseChallengeRating(cr) {
+  if (cr === undefined || cr === null || cr === "") return null;
+
+  const text = String(cr).trim();
+  if (text in FRACTIONAL_RATINGS) return FRACTIONAL_RATINGS[text];
+
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Write a numeric challenge rating the way statblocks do
+ * @param {number} value - From parseChallengeRating()
+ * @returns {string} "1/4", "5", ...
+ */
+export function formatChallengeRating(value) {
+  const fraction = Object.entries(FRACTIONAL_RATINGS).find(([, rating]) => rating === value);
+  return fraction ? fraction[0] : String(value);
+}
+
+/**
+ * Words of a free-text or list field, lowercase: "Forest, Hill" → ["forest", "hill"]
+ */
+function readList(value) {
+  return []
+    .concat(value ?? [])
+    .flatMap(entry => String(entry).split(","))
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * The fields the bestiary can be filtered on
+ * @param {Object} statblock - Resolved statblock
+ * @param {string} book - The book it came from
+ * @returns {Object} { cr, crLabel, type, size, environments, book }; cr is a
+ *   number or null
+ */
+export function summarizeStatblock(statblock, book) {
+  const cr = parseChallengeRating(statblock?.cr);
+  return {
+    cr,
+    crLabel: cr === null ? null : formatChallengeRating(cr),
+    // "humanoid (goblinoid)" is a humanoid
+    type: String(statblock?.type ?? "").toLowerCase().replace(/\s*\(.*\)\s*$/, "").trim(),
+    size: String(statblock?.size ?? "").toLowerCase().trim(),
+    environments: readList(statblock?.environment ?? statblock?.environments),
+    book,
+  };
+}
+
+/**
+ * Whether a bestiary entry passes the filters. Entries whose statblock
+ * hasn't loaded yet (no summary) only pass filters that don't need it.
+ * @param {Object} entry - { name, book, summary }
+ * @param {Object} filters - { text, minCr, maxCr, type, size, environment, book };
+ *   empty values don't filter, minCr and maxCr are numbers or null
+ * @returns {boolean}
+ */
+export function matchesBestiaryFilters(entry, filters) {
+  const words = filters.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const name = entry.name.toLowerCase();
+  if (!words.every(word => name.includes(word))) return false;
+  if (filters.book && entry.book !== filters.book) return false;
+
+  const needsSummary = filters.minCr !== null || filters.maxCr !== null
+    || filters.type || filters.size || filters.environment;
+  if (!needsSummary) return true;
+
+  const summary = entry.summary;
+  if (!summary) return false;
+  if (filters.minCr !== null && (summary.cr === null || summary.cr < filters.minCr)) return false;
+  if (filters.maxCr !== null && (summary.cr === null || summary.cr > filters.maxCr)) return false;
+  if (filters.type && summary.type !== filters.type) return false;
+  if (filters.size && summary.size !== filters.size) return false;
+  if (filters.environment && !summary.environments.includes(filters.environment)) return false;
+  return true;
+}
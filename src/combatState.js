@@ -0,0 +1,59 @@
+import OBR from "@owlbear-rodeo/sdk";
+
+const ID = "com.tutorial.initiative-tracker";
+const COMBAT_KEY = `${ID}/combat`;
+const MAX_HISTORY = 50;
+
+/**
+ * Default combat state used when a scene has never started combat
+ */
+const DEFAULT_COMBAT_STATE = {
+  inCombat: false,
+  round: 0,
+  history: [],
+  // Active virtual entry (e.g. a lair), which has no item to flag
+  activeEntryId: null,
+};
+
+/**
+ * Read the combat state out of a scene metadata object
+ * @param {Object} metadata - Scene metadata from OBR
+ * @returns {Object} Combat state ({ inCombat, round, history })
+ */
+export function readCombatState(metadata) {
+  return { ...DEFAULT_COMBAT_STATE, ...(metadata?.[COMBAT_KEY] || {}) };
+}
+
+/**
+ * Fetch the current combat state from the scene
+ * @returns {Promise<Object>} Combat state ({ inCombat, round, history })
+ */
+export async function getCombatState() {
+  const metadata = await OBR.scene.getMetadata();
+  return readCombatState(metadata);
+}
+
+/**
+ * Merge an update into the scene's combat state so every client sees it
+ * @param {Object} update - Partial combat state
+ * @returns {Promise<Object>} The new combat state
+ */
+export async function setCombatState(update) {
+  const current = await getCombatState();
+  const next = { ...current, ...update };
+  await OBR.scene.setMetadata({ [COMBAT_KEY]: next });
+  return next;
+}
+
+/**
+ * Add a turn to the undo history, dropping the oldest entries past the limit.
+ * Each entry gets an id so what the turn change did (its effects, see
+ * applyTurnEffects()) can be added to it afterwards
+ * @param {Object[]} history - Existing history, most recent last
+ * @param {Object} entry - Turn being left ({ round, index, activeId })
+ * @returns {Object[]} New history
+ */
+export function pushTurnHistory(history, entry) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  return [...history, { id, ...entry }].slice(-MAX_HISTORY);
+}
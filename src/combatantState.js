@@ -0,0 +1,19 @@
+import { createHitPoints } from "./hitPoints";
+import { createLegendary } from "./legendary";
+import { createRecharges } from "./recharge";
+
+/**
+ * Build the per-combatant tracking that comes from a statblock
+ * (hit points, legendary counters, recharge abilities)
+ * @param {Object|null} statblock - The creature's statblock
+ * @param {DiceRoller} diceRoller - DiceRoller instance
+ * @param {Object} settings - Room settings from getRoomSettings()
+ * @returns {Object} { hp, legendary, recharges }
+ */
+export function createCombatantState(statblock, diceRoller, settings) {
+  return {
+    hp: createHitPoints(statblock, diceRoller, settings.rollHitDice),
+    legendary: createLegendary(statblock),
+    recharges: createRecharges(statblock),
+  };
+}
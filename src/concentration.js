@@ -0,0 +1,93 @@
+/**
+ * concentration.js - Concentration tracking
+ * A concentrating combatant has metadata.concentration = { spell, pendingChecks },
+ * where pendingChecks holds the DC of every save still to be rolled
+ */
+
+import { calculateModifier } from "./renderer";
+
+/**
+ * Start concentrating
+ * @param {string|null} spell - Spell being concentrated on, if known
+ * @returns {object} Concentration state
+ */
+function startConcentration(spell = null) {
+  return { spell, pendingChecks: [] };
+}
+
+/**
+ * Concentration save DC for an instance of damage
+ * @param {number} damage - Damage taken
+ * @returns {number} DC (half the damage, minimum 10)
+ */
+function getConcentrationDc(damage) {
+  return Math.max(10, Math.floor(damage / 2));
+}
+
+/**
+ * Queue a concentration save after taking damage
+ * @param {object|null} concentration - Concentration state
+ * @param {number} damage - Damage taken
+ * @returns {object|null} New concentration state
+ */
+function addConcentrationCheck(concentration, damage) {
+  if (!concentration || damage <= 0) return concentration;
+  return {
+    ...concentration,
+    pendingChecks: [...(concentration.pendingChecks || []), getConcentrationDc(damage)],
+  };
+}
+
+/**
+ * Get a creature's Constitution saving throw bonus
+ * Uses the CON entry in `saves` if the statblock lists one, otherwise the CON modifier
+ * @param {object|null} statblock - Creature data
+ * @returns {number|null} Save bonus, or null without a statblock
+ */
+function getConSaveBonus(statblock) {
+  if (!statblock) return null;
+
+  for (const save of statblock.saves || []) {
+    for (const [ability, bonus] of Object.entries(save)) {
+      if (ability.toLowerCase().startsWith('con')) {
+        return parseInt(bonus);
+      }
+    }
+  }
+
+  return parseInt(calculateModifier(statblock.stats?.[2] ?? 10));
+}
+
+/**
+ * Roll a Constitution save against a concentration DC
+ * @param {object|null} statblock - Creature data
+ * @param {number} dc - Save DC
+ * @param {DiceRoller} roller - DiceRoller instance
+ * @returns {object} { result, success }
+ */
+function rollConcentrationSave(statblock, dc, roller) {
+  const bonus = getConSaveBonus(statblock) ?? 0;
+  const modStr = bonus >= 0 ? `+${bonus}` : `${bonus}`;
+  const result = roller.roll(`1d20${modStr}`);
+  return { result, success: result.total >= dc };
+}
+
+/**
+ * Resolve the oldest pending save
+ * @param {object} concentration - Concentration state
+ * @param {boolean} success - Whether the save succeeded
+ * @returns {object|null} New concentration state, or null if concentration ends
+ */
+function resolveConcentrationCheck(concentration, success) {
+  if (!success) return null;
+  return { ...concentration, pendingChecks: concentration.pendingChecks.slice(1) };
+}
+
+export {
+  startConcentration,
+  getConcentrationDc,
+  addConcentrationCheck,
+  getConSaveBonus,
+  rollConcentrationSave,
+  resolveConcentrationCheck,
+};
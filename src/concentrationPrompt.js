@@ -0,0 +1,94 @@
+/**
+ * Build the concentration save prompt shown under a row after it takes damage
+ * Creatures with a statblock get a one-click roll; anyone can mark the
+ * result by hand for saves rolled at the table
+ * @param {Object} options - Prompt options
+ * @param {string} options.name - Combatant name
+ * @param {number} options.dc - Save DC
+ * @param {number|null} options.bonus - CON save bonus, or null if unknown
+ * @param {Function} options.onRoll - Called with the roll button element
+ * @param {Function} options.onResolve - Called with true (kept) or false (lost)
+ * @returns {HTMLElement} The prompt element
+ */
+export function createConcentrationPrompt(options) {
+  const { name, dc, bonus, onRoll, onResolve } = options;
+
+  const prompt = document.createElement("li");
+  prompt.className = "concentration-prompt";
+
+  const label = document.createElement("span");
+  label.className = "concentration-label";
+  label.textContent = `${name}: concentration DC ${dc}`;
+  prompt.appendChild(label);
+
+  const addButton = (text, title, onClick) => {
+    const button = document.createElement("button");
+    button.className = "row-action";
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick(button);
+    });
+    prompt.appendChild(button);
+  };
+
+  if (bonus !== null) {
+    const sign = bonus >= 0 ? "+" : "";
+    addButton(`Roll CON ${sign}${bonus}`, "Roll the Constitution save", onRoll);
+  }
+  addButton("Kept", "Save succeeded", () => onResolve(true));
+  addButton("Lost", "Save failed, concentration ends", () => onResolve(false));
+
+  return prompt;
+}
+
+/**
+ * Build the row that asks which spell a combatant is concentrating on
+ * @param {Object} options - Editor options
+ * @param {string} options.name - Combatant name
+ * @param {Function} options.onStart - Called with the spell name, or null if left blank
+ * @param {Function} options.onClose - Called when cancelled
+ * @returns {HTMLElement} The editor element
+ */
+export function createConcentrationEditor(options) {
+  const { name, onStart, onClose } = options;
+
+  const editor = document.createElement("li");
+  editor.className = "concentration-prompt";
+
+  const label = document.createElement("span");
+  label.className = "concentration-label";
+  label.textContent = `${name} concentrates on`;
+  editor.appendChild(label);
+
+  const spellInput = document.createElement("input");
+  spellInput.className = "concentration-spell";
+  spellInput.placeholder = "Spell (optional)";
+  editor.appendChild(spellInput);
+
+  const submit = () => onStart(spellInput.value.trim() || null);
+
+  const addButton = (text, title, onClick) => {
+    const button = document.createElement("button");
+    button.className = "row-action";
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener("click", onClick);
+    editor.appendChild(button);
+  };
+
+  addButton("Start", "Start concentrating", submit);
+  addButton("Cancel", "Don't concentrate", onClose);
+  spellInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") submit();
+    if (e.key === "Escape") onClose();
+  });
+
+  // Keep clicks inside the form from selecting rows
+  editor.addEventListener("click", (e) => {
+    e.stopPropagation();
+  });
+
+  return editor;
+}
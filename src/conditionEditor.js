@@ -0,0 +1,118 @@
+import { CONDITIONS, describeDuration } from "./conditions";
+
+/**
+ * Build the condition badges shown on an initiative row
+ * @param {Object[]} conditions - Condition entries
+ * @param {Function} getName - Looks up a creature name by item id
+ * @param {Function} onRemove - Called with a condition id when its badge is clicked
+ * @returns {HTMLElement} Badge container
+ */
+export function createConditionBadges(conditions, getName, onRemove) {
+  const container = document.createElement("div");
+  container.className = "condition-badges";
+
+  for (const condition of conditions) {
+    const badge = document.createElement("button");
+    badge.className = "condition-badge";
+    badge.textContent = condition.name;
+    badge.title = `${condition.name} (${describeDuration(condition, getName)}). Click to remove.`;
+    badge.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onRemove(condition.id);
+    });
+    container.appendChild(badge);
+  }
+
+  return container;
+}
+
+/**
+ * Build the inline form for adding a condition to a combatant
+ * @param {Object} options - Editor options
+ * @param {Object[]} options.combatants - Entries in turn order ({ id, name })
+ * @param {string} options.defaultCreatureId - Creature whose turn the duration is measured by
+ * @param {number} options.defaultRound - Round the duration ends on
+ * @param {Function} options.onAdd - Called with (name, duration)
+ * @param {Function} options.onClose - Called when the editor is dismissed
+ * @returns {HTMLElement} The editor element
+ */
+export function createConditionEditor(options) {
+  const { combatants, defaultCreatureId, defaultRound, onAdd, onClose } = options;
+
+  const editor = document.createElement("li");
+  editor.className = "condition-editor";
+  editor.innerHTML = `
+    <input class="condition-name" list="condition-names" placeholder="Condition" />
+    <datalist id="condition-names">
+      ${CONDITIONS.map(name => `<option value="${name}"></option>`).join("")}
+    </datalist>
+    <div class="condition-duration">
+      <select class="condition-boundary">
+        <option value="">No duration</option>
+        <option value="start">Until start of</option>
+        <option value="end">Until end of</option>
+      </select>
+      <select class="condition-creature"></select>
+      <label>round <input class="condition-round" type="number" min="1" /></label>
+    </div>
+    <div class="condition-buttons">
+      <button class="row-action condition-add">Add</button>
+      <button class="row-action condition-cancel">Close</button>
+    </div>
+  `;
+
+  const nameInput = editor.querySelector(".condition-name");
+  const boundarySelect = editor.querySelector(".condition-boundary");
+  const creatureSelect = editor.querySelector(".condition-creature");
+  const roundInput = editor.querySelector(".condition-round");
+
+  creatureSelect.replaceChildren(...combatants.map((combatant) => {
+    const option = document.createElement("option");
+    option.value = combatant.id;
+    option.textContent = `${combatant.name}'s turn`;
+    return option;
+  }));
+  creatureSelect.value = defaultCreatureId;
+  roundInput.value = defaultRound;
+
+  const syncDurationInputs = () => {
+    const hasDuration = boundarySelect.value !== "";
+    creatureSelect.disabled = !hasDuration;
+    roundInput.disabled = !hasDuration;
+  };
+  boundarySelect.addEventListener("change", syncDurationInputs);
+  syncDurationInputs();
+
+  const submit = () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+
+    const duration = boundarySelect.value
+      ? {
+          creatureId: creatureSelect.value,
+          boundary: boundarySelect.value,
+          round: Math.max(1, parseInt(roundInput.value) || defaultRound),
+        }
+      : null;
+
+    onAdd(name, duration);
+    nameInput.value = "";
+  };
+
+  editor.querySelector(".condition-add").addEventListener("click", submit);
+  editor.querySelector(".condition-cancel").addEventListener("click", onClose);
+  nameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") submit();
+    if (e.key === "Escape") onClose();
+  });
+
+  // Keep clicks inside the form from selecting rows
+  editor.addEventListener("click", (e) => {
+    e.stopPropagation();
+  });
+
+  return editor;
+}
@@ -0,0 +1,133 @@
+import OBR from "@owlbear-rodeo/sdk";
+import { readEntry, writeEntry } from "./entryMetadata";
+
+/**
+ * Standard 5e conditions offered when adding a condition (custom names are allowed too)
+ */
+export const CONDITIONS = [
+  "Blinded",
+  "Charmed",
+  "Deafened",
+  "Exhaustion",
+  "Frightened",
+  "Grappled",
+  "Incapacitated",
+  "Invisible",
+  "Paralyzed",
+  "Petrified",
+  "Poisoned",
+  "Prone",
+  "Restrained",
+  "Stunned",
+  "Unconscious",
+];
+
+/**
+ * Create a condition entry for an item's metadata
+ * @param {string} name - Condition name
+ * @param {Object|null} duration - When it ends ({ creatureId, boundary: "start"|"end", round }), or null
+ * @returns {Object} Condition ({ id, name, duration })
+ */
+export function createCondition(name, duration = null) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    duration,
+  };
+}
+
+/**
+ * Describe when a condition ends, e.g. "until end of Goblin's turn, round 3"
+ * @param {Object} condition - Condition entry
+ * @param {Function} getName - Looks up a creature name by item id
+ * @returns {string} Description
+ */
+export function describeDuration(condition, getName) {
+  const { duration } = condition;
+  if (!duration) return "no duration";
+
+  const name = getName(duration.creatureId) || "a removed creature";
+  return `until ${duration.boundary} of ${name}'s turn, round ${duration.round}`;
+}
+
+/**
+ * Check whether a condition ends on a turn change
+ * Conditions whose round has fully passed also end, in case the chosen
+ * creature's turn was skipped or it left the fight
+ * @param {Object} condition - Condition entry
+ * @param {Object} transition - { fromId, fromRound, toId, toRound }
+ * @returns {boolean} True if the condition has expired
+ */
+export function hasExpired(condition, transition) {
+  const { duration } = condition;
+  if (!duration) return false;
+
+  if (transition.toRound > duration.round) return true;
+
+  if (duration.boundary === "end") {
+    return transition.fromId === duration.creatureId && transition.fromRound >= duration.round;
+  }
+  return transition.toId === duration.creatureId && transition.toRound >= duration.round;
+}
+
+/**
+ * Remove every condition in the scene that ends on this turn change
+ * @param {Object} transition - { fromId, fromRound, toId, toRound }
+ * @returns {Promise<Object[]>} Expired conditions ({ itemId, itemName, name, condition })
+ */
+export async function expireConditions(transition) {
+  const items = await OBR.scene.items.getItems(
+    (item) => readEntry(item)?.conditions?.length > 0
+  );
+
+  const expired = [];
+  for (const item of items) {
+    for (const condition of readEntry(item).conditions) {
+      if (hasExpired(condition, transition)) {
+        expired.push({ itemId: item.id, itemName: item.name, name: condition.name, condition });
+      }
+    }
+  }
+
+  if (expired.length === 0) return expired;
+
+  const changedIds = [...new Set(expired.map(entry => entry.itemId))];
+  await OBR.scene.items.updateItems(changedIds, (itemsToUpdate) => {
+    for (let item of itemsToUpdate) {
+      const metadata = readEntry(item);
+      if (metadata) {
+        metadata.conditions = metadata.conditions.filter(
+          condition => !hasExpired(condition, transition)
+        );
+        writeEntry(item, metadata);
+      }
+    }
+  });
+
+  return expired;
+}
+
+/**
+ * Put expired conditions back, undoing expireConditions(). Conditions the
+ * creature has again already, or creatures that have left, are skipped
+ * @param {Object[]} expired - Entries returned by expireConditions()
+ */
+export async function restoreConditions(expired) {
+  if (expired.length === 0) return;
+
+  const changedIds = [...new Set(expired.map(entry => entry.itemId))];
+  await OBR.scene.items.updateItems(changedIds, (itemsToUpdate) => {
+    for (let item of itemsToUpdate) {
+      const metadata = readEntry(item);
+      if (!metadata) continue;
+
+      const conditions = metadata.conditions || [];
+      const restored = expired
+        .filter(entry => entry.itemId === item.id)
+        .map(entry => entry.condition)
+        .filter(condition => !conditions.some(existing => existing.id === condition.id));
+      metadata.conditions = [...conditions, ...restored];
+      writeEntry(item, metadata);
+    }
+  });
+}
@@ -0,0 +1,66 @@
+import { getConnectionSettings, setConnectionSettings } from "./connectionSettings";
+import { testConnection } from "./monsterFetcher";
+
+/**
+ * Wire up the Obsidian connection form in the options panel
+ * @param {Object} elements - Form elements
+ * @param {HTMLInputElement} elements.apiKeyInput - Local REST API key
+ * @param {HTMLInputElement} elements.baseUrlInput - Local REST API address
+ * @param {HTMLInputElement} elements.bestiaryPathInput - Vault folder holding monster notes
+ * @param {HTMLInputElement} elements.pluginDataPathInput - Fantasy Statblocks data.json path
+ * @param {HTMLButtonElement} elements.saveButton - Saves the settings (rebuilding the index)
+ * @param {HTMLButtonElement} elements.testButton - Tries the connection without saving
+ * @param {HTMLElement} elements.statusLabel - Shows test and save results
+ */
+export function setupConnectionOptions(elements) {
+  const {
+    apiKeyInput,
+    baseUrlInput,
+    bestiaryPathInput,
+    pluginDataPathInput,
+    saveButton,
+    testButton,
+    statusLabel,
+  } = elements;
+
+  const readForm = () => ({
+    apiKey: apiKeyInput.value.trim(),
+    baseUrl: baseUrlInput.value.trim(),
+    bestiaryPath: bestiaryPathInput.value.trim(),
+    pluginDataPath: pluginDataPathInput.value.trim(),
+  });
+
+  const showStatus = (text, variant) => {
+    statusLabel.textContent = text;
+    statusLabel.className = `connection-status ${variant}`;
+  };
+
+  const settings = getConnectionSettings();
+  apiKeyInput.value = settings.apiKey;
+  baseUrlInput.value = settings.baseUrl;
+  bestiaryPathInput.value = settings.bestiaryPath;
+  pluginDataPathInput.value = settings.pluginDataPath;
+
+  saveButton.addEventListener("click", () => {
+    setConnectionSettings(readForm());
+    showStatus("Saved, rebuilding monster index…", "info");
+  });
+
+  testButton.addEventListener("click", async () => {
+    testButton.disabled = true;
+    showStatus("Testing…", "info");
+    try {
+      const { version, obsidianVersion, authenticated } = await testConnection(readForm());
+      if (authenticated) {
+        showStatus(`Connected: Local REST API ${version} (Obsidian ${obsidianVersion})`, "success");
+      } else {
+        showStatus(`Reached Local REST API ${version}, but the API key was rejected`, "error");
+      }
+    } catch (e) {
+      // fetch() rejects without a status for network and certificate errors
+      showStatus(`Could not connect: ${e.message}`, "error");
+    } finally {
+      testButton.disabled = false;
+    }
+  });
+}
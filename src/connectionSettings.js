@@ -0,0 +1,64 @@
+const ID = "com.tutorial.initiative-tracker";
+const STORAGE_KEY = `${ID}/connection`;
+
+/**
+ * Obsidian Local REST API connection, stored per user in this browser so
+ * the API key never ships in the bundle or room metadata
+ */
+const DEFAULT_CONNECTION_SETTINGS = {
+  apiKey: "",
+  baseUrl: "https://127.0.0.1:27124",
+  bestiaryPath: "Mechanics/compendium/bestiary",
+  pluginDataPath: ".obsidian/plugins/obsidian-5e-statblocks/data.json",
+};
+
+const listeners = new Set();
+
+/**
+ * Read this user's Obsidian connection settings
+ * @returns {Object} Connection settings
+ */
+export function getConnectionSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    console.error("Ignoring unreadable connection settings:", e);
+  }
+  return { ...DEFAULT_CONNECTION_SETTINGS, ...stored };
+}
+
+/**
+ * Merge an update into this user's connection settings
+ * @param {Object} update - Partial connection settings
+ * @returns {Object} The new connection settings
+ */
+export function setConnectionSettings(update) {
+  const next = { ...getConnectionSettings(), ...update };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  for (const listener of listeners) {
+    listener(next);
+  }
+  return next;
+}
+
+/**
+ * Subscribe to connection settings changes, including ones saved from
+ * another tab
+ * @param {Function} callback - Called with the new connection settings
+ * @returns {Function} Unsubscribe function
+ */
+export function onConnectionSettingsChange(callback) {
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      callback(getConnectionSettings());
+    }
+  };
+
+  listeners.add(callback);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(callback);
+    window.removeEventListener("storage", onStorage);
+  };
+}
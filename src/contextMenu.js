@@ -1,8 +1,63 @@
 import OBR from "@owlbear-rodeo/sdk";
+import { isPlayer, getPlayerRegistry, setPlayerCharacterFlag, PLAYER_CHARACTER_KEY } from "./playerCharacters";
+import { getMonsterForItem, LINK_MODAL_ID } from "./statblockLinks";
+import { confirmMonsterMatch } from "./matchConfirm";
+import { rollInitiative } from "./initiativeRoll";
+import { createTieBreaker } from "./tieBreakers";
+import { createCombatantState } from "./combatantState";
+import { getRoomSettings } from "./roomSettings";
+import { writeEntry, removeEntry } from "./entryMetadata";
+import { getPlayerId } from "./playerRole";
 
 const ID = "com.tutorial.initiative-tracker";
 
-export function setupContextMenu() {
+/**
+ * Work out the starting initiative metadata for a token being added
+ * PCs are left blank for their player; NPCs roll from their statblock
+ * @param {Object} item - The token being added
+ * @param {Object} monsterIndex - The index from buildMonsterIndex()
+ * @param {DiceRoller} diceRoller - DiceRoller instance
+ * @param {number} order - Stable order used as the last tie-breaker
+ * @param {Object} settings - Room settings from getRoomSettings()
+ * @param {Object} registry - Player registry from getPlayerRegistry()
+ * @returns {Promise<Object>} Initial initiative metadata
+ */
+async function createInitiativeEntry(item, monsterIndex, diceRoller, order, settings, registry) {
+  if (isPlayer(item, registry)) {
+    return { initiative: "", active: false, tieBreaker: createTieBreaker(null, true, order) };
+  }
+
+  let statblock;
+  try {
+    statblock = await getMonsterForItem(item, monsterIndex, confirmMonsterMatch);
+  } catch (e) {
+    // Roll a flat d20 and leave the statblock uncached so it's retried later
+    console.error(`Failed to look up "${item.name}":`, e);
+    return {
+      initiative: String(diceRoller.roll("1d20").total),
+      active: false,
+      tieBreaker: createTieBreaker(null, false, order),
+    };
+  }
+
+  const result = rollInitiative(statblock, diceRoller);
+
+  return {
+    initiative: String(result.total),
+    active: false,
+    tieBreaker: createTieBreaker(statblock, false, order),
+    ...createCombatantState(statblock, diceRoller, settings),
+    // Cache the lookup so the turn indicator doesn't fetch it again
+    statblock,
+  };
+}
+
+export function setupContextMenu(monsterIndex, diceRoller) {
+  // The GM manages every token; players add and remove the ones they own.
+  // Needs the player loaded (loadPlayerRole) first
+  const ownTokens = { key: "createdUserId", value: getPlayerId() };
+  const notInInitiative = { key: ["metadata", `${ID}/metadata`], value: undefined };
+
   OBR.contextMenu.create({
     id: `${ID}/context-menu`,
     icons: [
@@ -10,40 +65,120 @@ export function setupContextMenu() {
         icon: "/Lee-s-Archives/add.svg",
         label: "Add to Initiative",
         filter: {
-          every: [
-            { key: "layer", value: "CHARACTER" },
-            { key: ["metadata", `${ID}/metadata`], value: undefined },
-          ],
+          roles: ["GM"],
+          every: [{ key: "layer", value: "CHARACTER" }, notInInitiative],
+        },
+      },
+      {
+        icon: "/Lee-s-Archives/add.svg",
+        label: "Add to Initiative",
+        filter: {
+          roles: ["PLAYER"],
+          every: [{ key: "layer", value: "CHARACTER" }, notInInitiative, ownTokens],
         },
       },
       {
         icon: "/Lee-s-Archives/remove.svg",
         label: "Remove from Initiative",
         filter: {
+          roles: ["GM"],
           every: [{ key: "layer", value: "CHARACTER" }],
         },
       },
+      {
+        icon: "/Lee-s-Archives/remove.svg",
+        label: "Remove from Initiative",
+        filter: {
+          roles: ["PLAYER"],
+          every: [{ key: "layer", value: "CHARACTER" }, ownTokens],
+        },
+      },
     ],
-    onClick(context) {
+    async onClick(context) {
       const addToInitiative = context.items.every(
         (item) => item.metadata[`${ID}/metadata`] === undefined
       );
       if (addToInitiative) {
+        // Tokens added later lose ties against tokens added earlier
+        const addedAt = Date.now();
+        const settings = await getRoomSettings();
+        const registry = await getPlayerRegistry();
+        const entries = new Map();
+        for (const [index, item] of context.items.entries()) {
+          entries.set(
+            item.id,
+            await createInitiativeEntry(item, monsterIndex, diceRoller, addedAt + index, settings, registry)
+          );
+        }
+
         OBR.scene.items.updateItems(context.items, (items) => {
           for (let item of items) {
-            item.metadata[`${ID}/metadata`] = {
-              initiative: "10",
-              active: false,
-            };
+            writeEntry(item, entries.get(item.id));
           }
         });
       } else {
         OBR.scene.items.updateItems(context.items, (items) => {
           for (let item of items) {
-            delete item.metadata[`${ID}/metadata`]
+            removeEntry(item);
           }
         });
       }
     },
   });
+
+  // Let the GM mark tokens as PCs when ownership and the name list don't catch them
+  OBR.contextMenu.create({
+    id: `${ID}/player-character`,
+    icons: [
+      {
+        icon: "/Lee-s-Archives/player.svg",
+        label: "Mark as Player Character",
+        filter: {
+          roles: ["GM"],
+          every: [
+            { key: "layer", value: "CHARACTER" },
+            { key: ["metadata", PLAYER_CHARACTER_KEY], value: undefined },
+          ],
+        },
+      },
+      {
+        icon: "/Lee-s-Archives/player.svg",
+        label: "Unmark Player Character",
+        filter: {
+          roles: ["GM"],
+          every: [{ key: "layer", value: "CHARACTER" }],
+        },
+      },
+    ],
+    onClick(context) {
+      const markAsPlayer = context.items.every(
+        (item) => item.metadata[PLAYER_CHARACTER_KEY] === undefined
+      );
+      setPlayerCharacterFlag(context.items, markAsPlayer);
+    },
+  });
+
+  // Pick the exact statblock for tokens whose names don't match one
+  OBR.contextMenu.create({
+    id: `${ID}/link-statblock`,
+    icons: [
+      {
+        icon: "/Lee-s-Archives/link.svg",
+        label: "Link Stat Block…",
+        filter: {
+          roles: ["GM"],
+          every: [{ key: "layer", value: "CHARACTER" }],
+        },
+      },
+    ],
+    onClick(context) {
+      const itemIds = context.items.map((item) => item.id).join(",");
+      OBR.modal.open({
+        id: LINK_MODAL_ID,
+        url: `/Lee-s-Archives/link-statblock.html?items=${encodeURIComponent(itemIds)}`,
+        width: 400,
+        height: 520,
+      });
+    },
+  });
 }
\ No newline at end of file
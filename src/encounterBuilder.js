@@ -0,0 +1,320 @@
+import OBR from "@owlbear-rodeo/sdk";
+import {
+  getAllMonsterNames,
+  getMonsterVariants,
+  loadMonsterVariant,
+  findMonsterKey,
+} from "./monsterIndex";
+import { parseChallengeRating, formatChallengeRating } from "./bestiarySummary";
+import { getMonsterXP, rateEncounter2014, rateEncounter2024 } from "./encounterDifficulty";
+import {
+  getSavedEncounters,
+  saveEncounter,
+  deleteSavedEncounter,
+  onSavedEncountersChange,
+} from "./savedEncounters";
+
+const formatXP = (xp) => xp.toLocaleString("en-US");
+
+const parseLevels = (text) => text.split(/[\s,]+/).map(Number).filter(level => Number.isInteger(level) && level > 0);
+
+/**
+ * Levels typed as "5" (everyone) or "5, 5, 4, 6" (one per character)
+ * @param {string} text - Levels input
+ * @param {number} partySize - Characters in the party
+ * @returns {number[]|null} One level per character, or null if levels are
+ *   given per character but there aren't partySize of them
+ */
+function readPartyLevels(text, partySize) {
+  const levels = parseLevels(text);
+  if (levels.length === 1) {
+    return Array(partySize).fill(levels[0]);
+  }
+  if (levels.length > 1 && levels.length !== partySize) {
+    return null;
+  }
+  return levels;
+}
+
+/**
+ * Wire up the encounter builder panel: the GM sets the party, adds
+ * monsters from the index and sees the difficulty under the 2014 and
+ * 2024 rules. Encounters can be saved to the room and loaded later.
+ * @param {Object} elements - Panel elements
+ * @param {HTMLButtonElement} elements.toggleButton - Shows/hides the panel
+ * @param {HTMLElement} elements.panel - The encounter panel
+ * @param {HTMLInputElement} elements.partySizeInput - Number of characters
+ * @param {HTMLInputElement} elements.partyLevelsInput - One level, or one per character
+ * @param {HTMLInputElement} elements.monsterInput - Monster name to add
+ * @param {HTMLDataListElement} elements.monsterOptions - Suggestions for monsterInput
+ * @param {HTMLButtonElement} elements.addButton - Adds the typed monster
+ * @param {HTMLElement} elements.monsterList - The encounter's monsters
+ * @param {HTMLElement} elements.summary - XP totals and difficulty
+ * @param {HTMLInputElement} elements.nameInput - Name to save under
+ * @param {HTMLButtonElement} elements.saveButton - Saves to the room
+ * @param {HTMLSelectElement} elements.savedSelect - Encounters saved in the room
+ * @param {HTMLButtonElement} elements.loadButton - Loads the selected encounter
+ * @param {HTMLButtonElement} elements.deleteButton - Deletes the selected encounter
+ * @param {Object} monsterIndex - From createMonsterIndex()
+ * @param {Function} [confirmMatch] - Lets the GM settle ambiguous names
+ * @returns {Object} { addMonster(key, variant, statblock) }
+ */
+export function setupEncounterBuilder(elements, monsterIndex, confirmMatch = null) {
+  const {
+    toggleButton,
+    panel,
+    partySizeInput,
+    partyLevelsInput,
+    monsterInput,
+    monsterOptions,
+    addButton,
+    monsterList,
+    summary,
+    nameInput,
+    saveButton,
+    savedSelect,
+    loadButton,
+    deleteButton,
+  } = elements;
+
+  // [{ key, name, book, cr, count }]
+  let monsters = [];
+  let savedEncounters = [];
+
+  const getPartySize = () => Math.max(1, Number(partySizeInput.value) || 1);
+  const getPartyLevels = () => readPartyLevels(partyLevelsInput.value, getPartySize());
+
+  const renderSummary = () => {
+    const partyLevels = getPartyLevels();
+    if (!partyLevels) {
+      const count = parseLevels(partyLevelsInput.value).length;
+      summary.textContent = `${count} levels for a party of ${getPartySize()}: give one level for everyone, or one per character`;
+      return;
+    }
+    if (partyLevels.length === 0) {
+      summary.textContent = "Enter the party's levels";
+      return;
+    }
+
+    const rating2014 = rateEncounter2014(monsters, partyLevels);
+    const rating2024 = rateEncounter2024(monsters, partyLevels);
+    const { easy, medium, hard, deadly } = rating2014.thresholds;
+    const { low, moderate, high } = rating2024.budgets;
+    const monsterCount = monsters.reduce((count, monster) => count + monster.count, 0);
+
+    const line = (label, value, detail) => {
+      const row = document.createElement("div");
+      row.className = "encounter-summary-row";
+      const strong = document.createElement("strong");
+      strong.textContent = `${label}: `;
+      const thresholds = document.createElement("div");
+      thresholds.className = "encounter-thresholds";
+      thresholds.textContent = detail;
+      row.append(strong, value);
+      if (detail) row.appendChild(thresholds);
+      return row;
+    };
+
+    summary.replaceChildren(
+      line("Total", `${formatXP(rating2014.totalXP)} XP, ${monsterCount} monster${monsterCount === 1 ? "" : "s"}`),
+      line(
+        "2014",
+        `${formatXP(rating2014.adjustedXP)} adjusted XP (×${rating2014.multiplier}) · ${rating2014.difficulty}`,
+        `Easy ${formatXP(easy)} · Medium ${formatXP(medium)} · Hard ${formatXP(hard)} · Deadly ${formatXP(deadly)}`
+      ),
+      line(
+        "2024",
+        `${formatXP(rating2024.totalXP)} XP · ${rating2024.difficulty}`,
+        `Low ${formatXP(low)} · Moderate ${formatXP(moderate)} · High ${formatXP(high)}`
+      )
+    );
+  };
+
+  const renderMonsters = () => {
+    const rows = monsters.map((monster, i) => {
+      const row = document.createElement("li");
+      row.className = "encounter-row";
+
+      const name = document.createElement("span");
+      name.className = "encounter-name";
+      name.textContent = `${monster.name} (${monster.book})`;
+
+      const cr = document.createElement("span");
+      cr.className = "encounter-cr";
+      cr.textContent = monster.cr === null ? "CR ?" : `CR ${monster.cr} · ${formatXP(getMonsterXP(monster.cr))} XP`;
+
+      const count = document.createElement("input");
+      count.type = "number";
+      count.min = "1";
+      count.className = "encounter-count";
+      count.value = monster.count;
+      count.title = "How many";
+      count.addEventListener("change", () => {
+        monster.count = Math.max(1, Math.round(Number(count.value)) || 1);
+        count.value = monster.count;
+        renderSummary();
+      });
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "row-action";
+      removeButton.textContent = "×";
+      removeButton.title = `Remove ${monster.name}`;
+      removeButton.addEventListener("click", () => {
+        monsters.splice(i, 1);
+        render();
+      });
+
+      row.append(name, cr, count, removeButton);
+      return row;
+    });
+
+    if (rows.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "empty-state";
+      empty.textContent = "No monsters yet";
+      rows.push(empty);
+    }
+
+    monsterList.replaceChildren(...rows);
+  };
+
+  const render = () => {
+    renderMonsters();
+    renderSummary();
+  };
+
+  const renderSavedEncounters = (encounters) => {
+    savedEncounters = encounters;
+    const current = savedSelect.value;
+    savedSelect.replaceChildren(
+      new Option("Saved encounters", ""),
+      ...encounters.map(encounter => new Option(encounter.name, encounter.name))
+    );
+    savedSelect.value = encounters.some(encounter => encounter.name === current) ? current : "";
+    loadButton.disabled = deleteButton.disabled = !savedSelect.value;
+  };
+
+  /**
+   * Add one of a monster variant, or one more if it's already there
+   */
+  const addMonster = (key, variant, statblock) => {
+    const existing = monsters.find(monster => monster.key === key && monster.book === variant.book);
+    if (existing) {
+      existing.count++;
+    } else {
+      const cr = parseChallengeRating(statblock?.cr);
+      monsters.push({
+        key,
+        name: monsterIndex.entries.get(key)?.name ?? statblock?.name ?? key,
+        book: variant.book,
+        cr: cr === null ? null : formatChallengeRating(cr),
+        count: 1,
+      });
+    }
+    render();
+  };
+
+  const addTypedMonster = async () => {
+    const text = monsterInput.value.trim();
+    if (!text) return;
+
+    const key = await findMonsterKey(text, monsterIndex, confirmMatch);
+    const [variant] = key ? getMonsterVariants(key, monsterIndex) : [];
+    if (!variant) {
+      OBR.notification.show(`No monster called "${text}"`, "WARNING");
+      return;
+    }
+
+    try {
+      addMonster(key, variant, await loadMonsterVariant(key, variant, monsterIndex));
+      monsterInput.value = "";
+    } catch (e) {
+      console.error(`Couldn't load ${text}:`, e);
+      OBR.notification.show(`Couldn't load ${text}`, "ERROR");
+    }
+  };
+
+  toggleButton.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleButton.classList.toggle("open", !panel.hidden);
+    if (!panel.hidden) {
+      // The index may have grown since the panel was last open
+      monsterOptions.replaceChildren(
+        ...getAllMonsterNames(monsterIndex).map(key => new Option(monsterIndex.entries.get(key).name))
+      );
+    }
+  });
+
+  partySizeInput.addEventListener("change", renderSummary);
+  partyLevelsInput.addEventListener("change", () => {
+    const levels = parseLevels(partyLevelsInput.value);
+    if (levels.length > 1) {
+      partySizeInput.value = levels.length;
+    }
+    renderSummary();
+  });
+
+  addButton.addEventListener("click", addTypedMonster);
+  monsterInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addTypedMonster();
+  });
+
+  saveButton.addEventListener("click", async () => {
+    const name = nameInput.value.trim();
+    if (!name || monsters.length === 0) {
+      OBR.notification.show("Name the encounter and add a monster before saving", "WARNING");
+      return;
+    }
+    const partyLevels = getPartyLevels();
+    if (!partyLevels) {
+      OBR.notification.show("The party size doesn't match the number of levels", "WARNING");
+      return;
+    }
+
+    try {
+      await saveEncounter({ name, partyLevels, monsters });
+      OBR.notification.show(`Saved encounter "${name}"`, "SUCCESS");
+    } catch (error) {
+      console.error(`Couldn't save encounter "${name}":`, error);
+      OBR.notification.show(`Couldn't save "${name}": ${error.message}`, "ERROR");
+    }
+  });
+
+  savedSelect.addEventListener("change", () => {
+    loadButton.disabled = deleteButton.disabled = !savedSelect.value;
+  });
+
+  loadButton.addEventListener("click", () => {
+    const encounter = savedEncounters.find(saved => saved.name === savedSelect.value);
+    if (!encounter) return;
+
+    monsters = encounter.monsters.map(monster => ({ ...monster }));
+    nameInput.value = encounter.name;
+    partySizeInput.value = encounter.partyLevels.length;
+    partyLevelsInput.value = encounter.partyLevels.join(", ");
+    render();
+  });
+
+  deleteButton.addEventListener("click", async () => {
+    const name = savedSelect.value;
+    if (!name) return;
+
+    try {
+      await deleteSavedEncounter(name);
+    } catch (error) {
+      console.error(`Couldn't delete encounter "${name}":`, error);
+      OBR.notification.show(`Couldn't delete "${name}": ${error.message}`, "ERROR");
+    }
+  });
+
+  render();
+  getSavedEncounters()
+    .then(renderSavedEncounters)
+    .catch((error) => {
+      console.error("Couldn't load saved encounters:", error);
+      OBR.notification.show(`Couldn't load saved encounters: ${error.message}`, "ERROR");
+    });
+  onSavedEncountersChange(renderSavedEncounters);
+
+  return { addMonster };
+}
@@ -0,0 +1,164 @@
+import { CR_TO_XP } from "./renderer";
+import { parseChallengeRating, formatChallengeRating } from "./bestiarySummary";
+
+/**
+ * 2014 DMG XP thresholds per character: [easy, medium, hard, deadly], by level
+ */
+const THRESHOLDS_2014 = {
+  1: [25, 50, 75, 100],
+  2: [50, 100, 150, 200],
+  3: [75, 150, 225, 400],
+  4: [125, 250, 375, 500],
+  5: [250, 500, 750, 1100],
+  6: [300, 600, 900, 1400],
+  7: [350, 750, 1100, 1700],
+  8: [450, 900, 1400, 2100],
+  9: [550, 1100, 1600, 2400],
+  10: [600, 1200, 1900, 2800],
+  11: [800, 1600, 2400, 3600],
+  12: [1000, 2000, 3000, 4500],
+  13: [1100, 2200, 3400, 5100],
+  14: [1250, 2500, 3800, 5700],
+  15: [1400, 2800, 4300, 6400],
+  16: [1600, 3200, 4800, 7200],
+  17: [2000, 3900, 5900, 8800],
+  18: [2100, 4200, 6300, 9500],
+  19: [2400, 4900, 7300, 10900],
+  20: [2800, 5700, 8500, 12700],
+};
+
+/**
+ * 2024 DMG XP budget per character: [low, moderate, high], by level
+ */
+const BUDGETS_2024 = {
+  1: [50, 75, 100],
+  2: [100, 150, 200],
+  3: [150, 225, 400],
+  4: [250, 375, 500],
+  5: [500, 750, 1100],
+  6: [600, 1000, 1400],
+  7: [750, 1300, 1700],
+  8: [1000, 1700, 2100],
+  9: [1300, 2000, 2600],
+  10: [1600, 2300, 3100],
+  11: [1900, 2900, 4100],
+  12: [2200, 3700, 4700],
+  13: [2600, 4200, 5400],
+  14: [2900, 4900, 6200],
+  15: [3300, 5400, 7800],
+  16: [3800, 6100, 9800],
+  17: [4500, 7200, 11700],
+  18: [5000, 8700, 14200],
+  19: [5500, 10700, 17200],
+  20: [6400, 13200, 22000],
+};
+
+// 2014 encounter multipliers; the monster count picks one, party size shifts it
+const MULTIPLIERS_2014 = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+const clampLevel = (level) => Math.min(20, Math.max(1, Math.round(level) || 1));
+
+/**
+ * XP for one monster of the given challenge rating. CR_TO_XP writes
+ * values for display ("1,100", "0 or 10"); CR 0 counts as 10, since a
+ * monster worth adding to an encounter has some way to hurt the party
+ * @param {string|number} cr - Challenge rating
+ * @returns {number} XP, or 0 for an unknown rating
+ */
+export function getMonsterXP(cr) {
+  const value = parseChallengeRating(cr);
+  if (value === null) return 0;
+
+  const xp = CR_TO_XP[formatChallengeRating(value)];
+  if (!xp) return 0;
+  return Math.max(...xp.match(/[\d,]+/g).map(number => Number(number.replace(/,/g, ""))));
+}
+
+/**
+ * Total XP and number of monsters in an encounter
+ * @param {Object[]} monsters - [{ cr, count }]
+ * @returns {Object} { totalXP, monsterCount }
+ */
+export function sumEncounterXP(monsters) {
+  return monsters.reduce(
+    (sum, monster) => ({
+      totalXP: sum.totalXP + getMonsterXP(monster.cr) * monster.count,
+      monsterCount: sum.monsterCount + monster.count,
+    }),
+    { totalXP: 0, monsterCount: 0 }
+  );
+}
+
+/**
+ * The 2014 DMG encounter multiplier: more monsters make an encounter
+ * harder than their XP alone, and parties of fewer than three (or six or
+ * more) shift the multiplier up (or down) one step
+ * @param {number} monsterCount - Monsters in the encounter
+ * @param {number} partySize - Characters in the party
+ * @returns {number} Multiplier
+ */
+export function getEncounterMultiplier(monsterCount, partySize) {
+  let step;
+  if (monsterCount <= 1) step = 1;
+  else if (monsterCount === 2) step = 2;
+  else if (monsterCount <= 6) step = 3;
+  else if (monsterCount <= 10) step = 4;
+  else if (monsterCount <= 14) step = 5;
+  else step = 6;
+
+  if (partySize < 3) step++;
+  else if (partySize >= 6) step--;
+
+  return MULTIPLIERS_2014[step];
+}
+
+/**
+ * Rate an encounter with the 2014 rules: adjusted XP against the party's
+ * summed easy/medium/hard/deadly thresholds
+ * @param {Object[]} monsters - [{ cr, count }]
+ * @param {number[]} partyLevels - One level per character
+ * @returns {Object} { totalXP, multiplier, adjustedXP, thresholds, difficulty }
+ */
+export function rateEncounter2014(monsters, partyLevels) {
+  const { totalXP, monsterCount } = sumEncounterXP(monsters);
+  const multiplier = getEncounterMultiplier(monsterCount, partyLevels.length);
+  const adjustedXP = Math.round(totalXP * multiplier);
+
+  const [easy, medium, hard, deadly] = partyLevels.reduce(
+    (sums, level) => THRESHOLDS_2014[clampLevel(level)].map((xp, i) => sums[i] + xp),
+    [0, 0, 0, 0]
+  );
+
+  let difficulty = "Trivial";
+  if (totalXP === 0) difficulty = "None";
+  else if (adjustedXP >= deadly) difficulty = "Deadly";
+  else if (adjustedXP >= hard) difficulty = "Hard";
+  else if (adjustedXP >= medium) difficulty = "Medium";
+  else if (adjustedXP >= easy) difficulty = "Easy";
+
+  return { totalXP, multiplier, adjustedXP, thresholds: { easy, medium, hard, deadly }, difficulty };
+}
+
+/**
+ * Rate an encounter with the 2024 rules: total XP (no multiplier) against
+ * the party's summed low/moderate/high budgets
+ * @param {Object[]} monsters - [{ cr, count }]
+ * @param {number[]} partyLevels - One level per character
+ * @returns {Object} { totalXP, budgets, difficulty }
+ */
+export function rateEncounter2024(monsters, partyLevels) {
+  const { totalXP } = sumEncounterXP(monsters);
+
+  const [low, moderate, high] = partyLevels.reduce(
+    (sums, level) => BUDGETS_2024[clampLevel(level)].map((xp, i) => sums[i] + xp),
+    [0, 0, 0]
+  );
+
+  let difficulty = "Beyond High";
+  if (totalXP === 0) difficulty = "None";
+  else if (totalXP <= low) difficulty = "Low";
+  else if (totalXP <= moderate) difficulty = "Moderate";
+  else if (totalXP <= high) difficulty = "High";
+
+  return { totalXP, budgets: { low, moderate, high }, difficulty };
+}
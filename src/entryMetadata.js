@@ -0,0 +1,34 @@
+const ID = "com.tutorial.initiative-tracker";
+const METADATA_KEY = `${ID}/metadata`;
+
+// Everything about an entry lives on its item so every GM client sees the
+// same turn order, HP and conditions. Players can read item metadata, so
+// hidden creatures and statblocks are kept out of the player view when
+// it's rendered instead
+
+/**
+ * Read an initiative entry's metadata
+ * @param {Object} item - Scene item
+ * @returns {Object|undefined} Entry metadata, or undefined if not in initiative
+ */
+export function readEntry(item) {
+  const metadata = item.metadata[METADATA_KEY];
+  return metadata ? { ...metadata } : undefined;
+}
+
+/**
+ * Write an initiative entry's metadata onto an item being updated
+ * @param {Object} item - Item draft inside OBR.scene.items.updateItems()
+ * @param {Object} metadata - Full entry metadata
+ */
+export function writeEntry(item, metadata) {
+  item.metadata[METADATA_KEY] = metadata;
+}
+
+/**
+ * Take an item out of initiative
+ * @param {Object} item - Item draft inside OBR.scene.items.updateItems()
+ */
+export function removeEntry(item) {
+  delete item.metadata[METADATA_KEY];
+}
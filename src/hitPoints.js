@@ -0,0 +1,163 @@
+/**
+ * hitPoints.js - Hit point tracking for initiative entries
+ * Stores { current, max, temp } per combatant and applies damage/heal
+ * expressions typed into the initiative list
+ */
+
+// ============================================================================
+// CREATION
+// ============================================================================
+
+/**
+ * Create hit points for a creature from its statblock
+ * @param {object} statblock - Creature data
+ * @param {DiceRoller} roller - DiceRoller instance
+ * @param {boolean} rollHitDice - Roll hit_dice instead of using the average hp
+ * @returns {object|null} { current, max, temp }, or null if the statblock has no hp
+ */
+function createHitPoints(statblock, roller, rollHitDice = false) {
+  if (!statblock) return null;
+
+  let max = parseInt(statblock.hp);
+
+  if (rollHitDice && statblock.hit_dice) {
+    try {
+      max = Math.max(1, evaluateExpression(String(statblock.hit_dice), roller));
+    } catch (error) {
+      console.error(`Could not roll hit dice "${statblock.hit_dice}":`, error);
+    }
+  }
+
+  if (Number.isNaN(max)) return null;
+
+  return { current: max, max, temp: 0 };
+}
+
+// ============================================================================
+// EXPRESSION PARSING
+// ============================================================================
+
+/**
+ * Evaluate a sum of dice and numbers, e.g. "2d4+2" or "-12"
+ * @param {string} expression - Arithmetic expression
+ * @param {DiceRoller} roller - DiceRoller instance
+ * @returns {number} Total
+ */
+function evaluateExpression(expression, roller) {
+  const cleaned = expression.toLowerCase().replace(/\s+/g, '');
+  if (!/^[+-]?(\d*d\d+|\d+)([+-](\d*d\d+|\d+))*$/.test(cleaned)) {
+    throw new Error(`Invalid expression: ${expression}`);
+  }
+
+  let total = 0;
+  for (const [, sign, term] of cleaned.matchAll(/([+-]?)(\d*d\d+|\d+)/g)) {
+    const value = term.includes('d') ? roller.roll(term).total : parseInt(term);
+    total += sign === '-' ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * Parse what was typed into a row's HP input
+ *   "-12", "12", "2d6+3" → damage
+ *   "+8", "+2d4+2"      → healing
+ *   "t5"                → temporary hit points
+ *   "=30"               → set max and current hit points
+ * @param {string} input - Raw input text
+ * @param {DiceRoller} roller - DiceRoller instance
+ * @returns {object} { type: 'damage'|'heal'|'temp'|'set', amount }
+ */
+function parseHpInput(input, roller) {
+  const trimmed = input.trim().toLowerCase();
+
+  if (trimmed.startsWith('t')) {
+    return { type: 'temp', amount: Math.max(0, evaluateExpression(trimmed.slice(1), roller)) };
+  }
+  if (trimmed.startsWith('=')) {
+    return { type: 'set', amount: Math.max(0, evaluateExpression(trimmed.slice(1), roller)) };
+  }
+  if (trimmed.startsWith('+')) {
+    return { type: 'heal', amount: Math.max(0, evaluateExpression(trimmed.slice(1), roller)) };
+  }
+  // A leading minus only marks damage; a roll that totals below zero deals none
+  const damage = trimmed.startsWith('-') ? trimmed.slice(1) : trimmed;
+  return { type: 'damage', amount: Math.max(0, evaluateExpression(damage, roller)) };
+}
+
+// ============================================================================
+// APPLYING CHANGES
+// ============================================================================
+
+/**
+ * Apply damage, spending temporary hit points first
+ * @param {object} hp - { current, max, temp }
+ * @param {number} amount - Damage taken
+ * @returns {object} New hit points
+ */
+function applyDamage(hp, amount) {
+  const absorbed = Math.min(hp.temp, amount);
+  return {
+    ...hp,
+    temp: hp.temp - absorbed,
+    current: Math.max(0, hp.current - (amount - absorbed)),
+  };
+}
+
+/**
+ * Apply healing, capped at max hit points
+ * @param {object} hp - { current, max, temp }
+ * @param {number} amount - Hit points regained
+ * @returns {object} New hit points
+ */
+function applyHealing(hp, amount) {
+  return { ...hp, current: Math.min(hp.max, hp.current + amount) };
+}
+
+/**
+ * Apply a parsed HP input to a combatant's hit points
+ * Temporary hit points don't stack: the higher value is kept
+ * @param {object|null} hp - { current, max, temp }, or null if untracked
+ * @param {object} change - Result of parseHpInput()
+ * @returns {object|null} New hit points (null if untracked and not being set)
+ */
+function applyHpChange(hp, change) {
+  if (change.type === 'set') {
+    return { current: change.amount, max: change.amount, temp: hp?.temp || 0 };
+  }
+  if (!hp) return null;
+
+  switch (change.type) {
+    case 'damage':
+      return applyDamage(hp, change.amount);
+    case 'heal':
+      return applyHealing(hp, change.amount);
+    case 'temp':
+      return { ...hp, temp: Math.max(hp.temp, change.amount) };
+    default:
+      return hp;
+  }
+}
+
+/**
+ * Format hit points for display, e.g. "23/45 +5"
+ * @param {object|null} hp - { current, max, temp }
+ * @returns {string} Display string
+ */
+function formatHitPoints(hp) {
+  if (!hp) return '—';
+  return `${hp.current}/${hp.max}${hp.temp ? ` +${hp.temp}` : ''}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  createHitPoints,
+  evaluateExpression,
+  parseHpInput,
+  applyDamage,
+  applyHealing,
+  applyHpChange,
+  formatHitPoints,
+};
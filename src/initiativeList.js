@@ -1,123 +1,885 @@
 import OBR from "@owlbear-rodeo/sdk";
+import { setCombatState, readCombatState, pushTurnHistory } from "./combatState";
+import {
+    TIE_BREAKER_PRESETS,
+    compareInitiativeEntries,
+    createTieBreaker,
+    readTieBreakerOrder,
+    setTieBreakerOrder,
+} from "./tieBreakers";
+import { getReorderedInitiative } from "./reorder";
+import { parseHpInput, applyHpChange, formatHitPoints } from "./hitPoints";
+import { createCondition } from "./conditions";
+import { createConditionBadges, createConditionEditor } from "./conditionEditor";
+import { applyTurnEffects, revertTurnEffects } from "./turnEffects";
+import {
+    startConcentration,
+    addConcentrationCheck,
+    getConSaveBonus,
+    rollConcentrationSave,
+    resolveConcentrationCheck,
+} from "./concentration";
+import { createConcentrationPrompt, createConcentrationEditor } from "./concentrationPrompt";
+import { showRollResult } from "./dice";
+import { createLairEntries, isLairEntry } from "./lair";
+import { isPlayer, getPlayerRegistry, onPlayerRegistryChange } from "./playerCharacters";
+import { readEntry, writeEntry } from "./entryMetadata";
+import { loadPlayerRole, isGM, getPlayerId, onPlayerRoleChange } from "./playerRole";
 
-const ID = "com.tutorial.initiative-tracker";
+/**
+ * Wire up the initiative list and its turn controls
+ * @param {HTMLElement} element - The <ul> the initiative rows render into
+ * @param {Object} controls - Control elements
+ * @param {HTMLButtonElement} controls.nextTurnButton - Advances to the next turn
+ * @param {HTMLButtonElement} controls.previousTurnButton - Steps back to the previous turn
+ * @param {HTMLButtonElement} controls.undoButton - Reverts the last turn change
+ * @param {HTMLButtonElement} controls.combatButton - Starts or ends combat
+ * @param {HTMLElement} controls.roundLabel - Shows the current round
+ * @param {HTMLSelectElement} controls.tieBreakerSelect - Chooses the tie-breaker order
+ * @param {Function} onTurnChange - Called with the active item (or null when combat ends)
+ * @param {DiceRoller} diceRoller - Rolls HP inputs, saves and start-of-turn recharges
+ */
+export function setupInitiativeList(element, controls, onTurnChange, diceRoller) {
+    const {
+        nextTurnButton,
+        previousTurnButton,
+        undoButton,
+        combatButton,
+        roundLabel,
+        tieBreakerSelect,
+    } = controls;
 
-export function setupInitiativeList(element, buttonElement, onTurnChange) {
     let currentTurnIndex = 0;
     let sortedItems = [];
+    let latestItems = [];
+    let combat = readCombatState(null);
+    let tieBreakerOrder = readTieBreakerOrder(null);
+    let draggedId = null;
+    let focusAfterRender = null;
+    let reenteringId = null;
+    let conditionEditor = null;
+    let concentrationEditor = null;
+    let playerRegistry = null;
+
+    // Mark a single character as active across the scene and notify listeners
+    const setActiveTurn = async (activeCharacterId) => {
+        const items = await OBR.scene.items.getItems();
+
+        // Find the full item details for the active character
+        const activeItem = items.find(item => item.id === activeCharacterId);
+
+        // Virtual entries have no item to flag, so their turn is kept in the combat state
+        const activeEntryId = isLairEntry(activeCharacterId) ? activeCharacterId : null;
+        if (activeEntryId !== combat.activeEntryId) {
+            combat = await setCombatState({ activeEntryId });
+        }
+
+        await OBR.scene.items.updateItems(items, (itemsToUpdate) => {
+            for (let item of itemsToUpdate) {
+                const metadata = readEntry(item);
+                if (metadata) {
+                    // Set active flag based on whether this is the current turn
+                    metadata.active = item.id === activeCharacterId;
+                    writeEntry(item, metadata);
+                }
+            }
+        });
+
+        if (activeItem) {
+            // Select the character whose turn it is
+            OBR.player.select([activeCharacterId]);
+        }
+
+        // Update turn indicator
+        if (onTurnChange) {
+            const activeEntry = activeEntryId
+                ? sortedItems.find(item => item.id === activeEntryId)
+                : null;
+            onTurnChange(activeItem || activeEntry || null);
+        }
+    };
+
+    // Apply metadata changes to several initiative entries at once
+    // @param changesById - Map of item id to the object to merge
+    const updateEntries = (changesById) => {
+        return OBR.scene.items.updateItems([...changesById.keys()], (itemsToUpdate) => {
+            for (let item of itemsToUpdate) {
+                const metadata = readEntry(item);
+                if (metadata) {
+                    Object.assign(metadata, changesById.get(item.id));
+                    writeEntry(item, metadata);
+                }
+            }
+        });
+    };
+
+    // Apply a metadata change to a single initiative entry
+    // @param changes - Object to merge, or a function of the current metadata returning one
+    const updateEntry = (id, changes) => {
+        return OBR.scene.items.updateItems([id], (itemsToUpdate) => {
+            for (let item of itemsToUpdate) {
+                const metadata = readEntry(item);
+                if (metadata) {
+                    Object.assign(metadata, typeof changes === "function" ? changes(metadata) : changes);
+                    writeEntry(item, metadata);
+                }
+            }
+        });
+    };
+
+    // Move an entry to a new position, rewriting its own initiative and,
+    // only when there's no room between its new neighbours, theirs
+    const moveItem = async (movedId, targetIndex, changes = {}) => {
+        const updates = getReorderedInitiative(sortedItems, movedId, targetIndex, tieBreakerOrder);
+        const fromIndex = sortedItems.findIndex(item => item.id === movedId);
+        if (!updates && targetIndex !== fromIndex) {
+            OBR.notification.show("No initiative puts this creature in that spot", "WARNING");
+        }
+        if (!updates && Object.keys(changes).length === 0) return;
+
+        const changesById = new Map((updates || []).map(({ id, ...update }) => [id, update]));
+        changesById.set(movedId, { ...changesById.get(movedId), ...changes });
+        await updateEntries(changesById);
+    };
+
+    // Change whose turn it is during combat, recording the turn being left
+    // so it can be undone
+    // @returns The history entry recorded for the turn being left
+    const changeTurn = async (id, round) => {
+        const history = pushTurnHistory(combat.history, {
+            round: combat.round,
+            index: currentTurnIndex,
+            activeId: sortedItems[currentTurnIndex]?.id ?? null,
+        });
+
+        const index = sortedItems.findIndex(item => item.id === id);
+        if (index !== -1) {
+            currentTurnIndex = index;
+        }
+        combat = await setCombatState({ round, history });
+        await setActiveTurn(id);
+        return history[history.length - 1];
+    };
+
+    // Find the nearest combatant who isn't holding their turn
+    // @param direction - 1 to look forward, -1 to look backward
+    const findTurnIndex = (direction) => {
+        for (let step = 1; step <= sortedItems.length; step++) {
+            const offset = (currentTurnIndex + step * direction) % sortedItems.length;
+            const candidate = (offset + sortedItems.length) % sortedItems.length;
+            if (!sortedItems[candidate].held) {
+                return candidate;
+            }
+        }
+        return -1;
+    };
+
+    // Advance to the next combatant who isn't holding their turn
+    const advanceTurn = async () => {
+        if (!combat.inCombat || sortedItems.length === 0) return;
+
+        const nextIndex = findTurnIndex(1);
+        if (nextIndex === -1) return;
+
+        // Wrapping back to the top of the order starts a new round
+        const round = nextIndex <= currentTurnIndex ? combat.round + 1 : combat.round;
+        const transition = {
+            fromId: sortedItems[currentTurnIndex]?.id ?? null,
+            fromRound: combat.round,
+            toId: sortedItems[nextIndex].id,
+            toRound: round,
+        };
+
+        const left = await changeTurn(sortedItems[nextIndex].id, round);
+        const effects = await applyTurnEffects(transition, diceRoller);
+
+        // Keep what the turn change did with it, so undoing it from any client puts it back
+        combat = await setCombatState({
+            history: combat.history.map(entry => entry.id === left.id ? { ...entry, effects } : entry),
+        });
+    };
+
+    // Step back to the previous combatant who isn't holding their turn
+    const rewindTurn = async () => {
+        if (!combat.inCombat || sortedItems.length === 0) return;
+
+        const previousIndex = findTurnIndex(-1);
+        if (previousIndex === -1) return;
+
+        // Wrapping back past the top of the order returns to the last round,
+        // but there's nothing before the first turn of combat
+        const wrapped = previousIndex >= currentTurnIndex;
+        if (wrapped && combat.round <= 1) return;
+
+        const round = wrapped ? combat.round - 1 : combat.round;
+        const previousId = sortedItems[previousIndex].id;
+
+        // Going back over the last Next Turn undoes it, start-of-turn effects and all
+        const last = combat.history[combat.history.length - 1];
+        if (last && last.activeId === previousId && last.round === round) {
+            await undoTurn();
+            return;
+        }
+
+        await changeTurn(previousId, round);
+    };
+
+    // Revert the most recent turn change for everyone in the room, along
+    // with the conditions, legendary actions and recharges it changed
+    const undoTurn = async () => {
+        const entry = combat.history[combat.history.length - 1];
+        if (!combat.inCombat || !entry) return;
+
+        // Prefer the recorded combatant; fall back to the slot if they've left
+        const stillThere = sortedItems.some(item => item.id === entry.activeId);
+        const activeId = stillThere ? entry.activeId : sortedItems[entry.index]?.id ?? null;
+
+        combat = await setCombatState({
+            round: entry.round,
+            history: combat.history.slice(0, -1),
+        });
+        await setActiveTurn(activeId);
+        if (entry.effects) {
+            await revertTurnEffects(entry.effects);
+        }
+    };
+
+    // Take a combatant out of the rotation; holding on your own turn ends it
+    const holdTurn = async (id) => {
+        const wasActive = sortedItems[currentTurnIndex]?.id === id;
+        await updateEntry(id, { held: true });
+
+        if (wasActive) {
+            sortedItems = sortedItems.map(item => item.id === id ? { ...item, held: true } : item);
+            await advanceTurn();
+        }
+    };
+
+    // Bring a held combatant back in just before or after another one,
+    // rewriting its initiative to match the chosen spot. The current turn
+    // stays where it is
+    const reenterTurn = async (id, rowIndex, after) => {
+        reenteringId = null;
+        await moveItem(id, getDropIndex(id, rowIndex, after), { held: false });
+    };
+
+    // Convert a drop on a row into a position in the order without the dragged entry
+    const getDropIndex = (movedId, rowIndex, after) => {
+        const fromIndex = sortedItems.findIndex(item => item.id === movedId);
+        const index = fromIndex !== -1 && fromIndex < rowIndex ? rowIndex - 1 : rowIndex;
+        return after ? index + 1 : index;
+    };
+
+    const clearDropMarkers = () => {
+        for (const row of element.querySelectorAll(".drop-before, .drop-after")) {
+            row.classList.remove("drop-before", "drop-after");
+        }
+    };
+
+    // Mark the row under the pointer and report where the drop would land
+    const markDropTarget = (row, clientY) => {
+        clearDropMarkers();
+        const rect = row.getBoundingClientRect();
+        const after = clientY > rect.top + rect.height / 2;
+        row.classList.add(after ? "drop-after" : "drop-before");
+        return after;
+    };
+
+    const getCombatantName = (id) => {
+        return sortedItems.find(item => item.id === id)?.name;
+    };
+
+    const addCondition = (id, name, duration) => {
+        return updateEntry(id, (metadata) => ({
+            conditions: [...(metadata.conditions || []), createCondition(name, duration)],
+        }));
+    };
+
+    const removeCondition = (id, conditionId) => {
+        return updateEntry(id, (metadata) => ({
+            conditions: (metadata.conditions || []).filter(condition => condition.id !== conditionId),
+        }));
+    };
+
+    const toggleConditionEditor = (id) => {
+        conditionEditor = conditionEditor?.id === id ? null : { id, element: null };
+        renderList(latestItems);
+    };
+
+    // Reuse the open editor across re-renders so other clients' changes
+    // don't wipe what the GM is typing
+    const getConditionEditorElement = (id) => {
+        if (!conditionEditor.element) {
+            conditionEditor.element = createConditionEditor({
+                combatants: sortedItems,
+                defaultCreatureId: sortedItems[currentTurnIndex]?.id ?? id,
+                defaultRound: combat.inCombat ? combat.round + 1 : 1,
+                onAdd: (name, duration) => addCondition(id, name, duration),
+                onClose: () => toggleConditionEditor(id),
+            });
+        }
+        return conditionEditor.element;
+    };
+
+    const createConcentrationBadge = (concentration) => {
+        const badge = document.createElement("span");
+        badge.className = "concentration-badge";
+        badge.textContent = concentration.spell ? `Conc: ${concentration.spell}` : "Concentrating";
+        return badge;
+    };
+
+    // Stopping is immediate; starting asks which spell first
+    const toggleConcentration = (initiativeItem) => {
+        if (initiativeItem.concentration) {
+            return updateEntry(initiativeItem.id, { concentration: null });
+        }
+        concentrationEditor = concentrationEditor?.id === initiativeItem.id
+            ? null
+            : { id: initiativeItem.id, element: null };
+        renderList(latestItems);
+        concentrationEditor?.element?.querySelector("input").focus();
+    };
+
+    const closeConcentrationEditor = () => {
+        concentrationEditor = null;
+        renderList(latestItems);
+    };
+
+    const beginConcentration = (id, spell) => {
+        closeConcentrationEditor();
+        return updateEntry(id, { concentration: startConcentration(spell) });
+    };
+
+    // Reused across re-renders like the condition editor
+    const getConcentrationEditorElement = (initiativeItem) => {
+        concentrationEditor.element ??= createConcentrationEditor({
+            name: initiativeItem.name,
+            onStart: (spell) => beginConcentration(initiativeItem.id, spell),
+            onClose: closeConcentrationEditor,
+        });
+        return concentrationEditor.element;
+    };
+
+    const resolveConcentration = async (initiativeItem, success) => {
+        await updateEntry(initiativeItem.id, (metadata) => ({
+            concentration: metadata.concentration
+                ? resolveConcentrationCheck(metadata.concentration, success)
+                : null,
+        }));
+
+        if (!success) {
+            OBR.notification.show(`${initiativeItem.name} lost concentration`, "WARNING");
+        }
+    };
+
+    const toggleHidden = (initiativeItem) => {
+        return updateEntry(initiativeItem.id, { hidden: !initiativeItem.hidden });
+    };
+
+    const rollConcentration = (initiativeItem, dc) => {
+        const { result, success } = rollConcentrationSave(initiativeItem.statblock, dc, diceRoller);
+        // The prompt row is rebuilt once the save is recorded, so show the
+        // roll by the round counter, which stays put
+        showRollResult(result, roundLabel || element, { label: `CON save vs DC ${dc}` });
+        resolveConcentration(initiativeItem, success);
+    };
+
+    // Current/max/temp HP plus an input for damage and healing
+    const createHpControls = (initiativeItem) => {
+        const container = document.createElement("div");
+        container.className = "hp-controls";
+
+        const display = document.createElement("span");
+        display.className = "hp-display";
+        display.textContent = formatHitPoints(initiativeItem.hp);
+        display.title = "Current/max HP, +temp";
+
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "hp-input";
+        input.placeholder = "±HP";
+        input.title = "-12 or 2d6 damage, +8 heal, t5 temp HP, =30 set max";
+
+        input.addEventListener("change", async (e) => {
+            const value = e.target.value;
+            if (!value.trim()) return;
+
+            let change;
+            try {
+                change = parseHpInput(value, diceRoller);
+            } catch (error) {
+                input.classList.add("invalid");
+                return;
+            }
+
+            input.value = "";
+            input.classList.remove("invalid");
+            await updateEntry(initiativeItem.id, (metadata) => ({
+                hp: applyHpChange(metadata.hp || null, change),
+                // Taking damage while concentrating queues a CON save
+                concentration: change.type === "damage"
+                    ? addConcentrationCheck(metadata.concentration || null, change.amount)
+                    : metadata.concentration || null,
+            }));
+        });
+
+        input.addEventListener("click", (e) => {
+            e.stopPropagation();
+        });
+
+        container.appendChild(display);
+        container.appendChild(input);
+        return container;
+    };
+
+    // Row buttons for holding a turn and choosing where to re-enter
+    const createTurnActions = (initiativeItem, index) => {
+        const actions = document.createElement("div");
+        actions.className = "turn-actions";
+
+        const addButton = (label, title, onClick) => {
+            const button = document.createElement("button");
+            button.className = "row-action";
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener("click", (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            actions.appendChild(button);
+        };
+
+        const concentrationTitle = initiativeItem.concentration ? "Stop concentrating" : "Concentrate";
+        const hiddenTitle = initiativeItem.hidden ? "Reveal to players" : "Hide from players";
+
+        if (!combat.inCombat) {
+            addButton("+", "Add condition", () => toggleConditionEditor(initiativeItem.id));
+            addButton("◎", concentrationTitle, () => toggleConcentration(initiativeItem));
+            addButton("◐", hiddenTitle, () => toggleHidden(initiativeItem));
+        } else if (reenteringId === initiativeItem.id) {
+            addButton("Cancel", "Keep holding", () => {
+                reenteringId = null;
+                renderList(latestItems);
+            });
+        } else if (reenteringId) {
+            addButton("↑", `Act before ${initiativeItem.name}`, () => reenterTurn(reenteringId, index, false));
+            addButton("↓", `Act after ${initiativeItem.name}`, () => reenterTurn(reenteringId, index, true));
+        } else if (initiativeItem.held) {
+            addButton("Re-enter", "Choose where to rejoin the turn order", () => {
+                reenteringId = initiativeItem.id;
+                renderList(latestItems);
+            });
+        } else {
+            addButton("+", "Add condition", () => toggleConditionEditor(initiativeItem.id));
+            addButton("◎", concentrationTitle, () => toggleConcentration(initiativeItem));
+            addButton("◐", hiddenTitle, () => toggleHidden(initiativeItem));
+            addButton("⏸", "Hold turn", () => holdTurn(initiativeItem.id));
+        }
+
+        return actions;
+    };
+
+    // Lair rows can take the turn but have no token, HP or initiative to edit
+    const createLairRow = (lairEntry, index) => {
+        const listItem = document.createElement("li");
+        listItem.className = "initiative-item lair-entry";
+        listItem.dataset.id = lairEntry.id;
+        listItem.dataset.index = String(index);
+
+        if (combat.inCombat && index === currentTurnIndex) {
+            listItem.classList.add("active-turn");
+        }
+
+        if (lairEntry.hidden) {
+            listItem.classList.add("hidden-entry");
+        }
+
+        listItem.addEventListener("click", () => {
+            if (reenteringId) return;
+
+            if (combat.inCombat) {
+                changeTurn(lairEntry.id, combat.round);
+            } else {
+                setActiveTurn(lairEntry.id);
+            }
+        });
+
+        const nameContainer = document.createElement("div");
+        nameContainer.className = "initiative-name";
+        nameContainer.textContent = lairEntry.name;
+
+        const initiativeDisplay = document.createElement("span");
+        initiativeDisplay.className = "initiative-value";
+        initiativeDisplay.textContent = lairEntry.initiative;
+
+        listItem.appendChild(nameContainer);
+        if (reenteringId) {
+            listItem.appendChild(createTurnActions(lairEntry, index));
+        }
+        listItem.appendChild(initiativeDisplay);
+        return listItem;
+    };
+
+    // Players only see who is in the fight, the order and whose turn it is.
+    // NPC initiative stays secret; players fill in the roll for the PCs
+    // they own and see everyone else's
+    const createPlayerRow = (initiativeItem, index) => {
+        const listItem = document.createElement("li");
+        listItem.className = "initiative-item player-view";
+        listItem.dataset.id = initiativeItem.id;
+        listItem.dataset.index = String(index);
+
+        if (combat.inCombat && index === currentTurnIndex) {
+            listItem.classList.add("active-turn");
+        }
+
+        if (initiativeItem.held) {
+            listItem.classList.add("held");
+        }
+
+        const nameContainer = document.createElement("div");
+        nameContainer.className = "initiative-name";
+        nameContainer.textContent = initiativeItem.name;
+        listItem.appendChild(nameContainer);
+
+        if (initiativeItem.player && initiativeItem.ownerId === getPlayerId()) {
+            listItem.appendChild(createInitiativeInput(initiativeItem));
+        } else if (initiativeItem.player) {
+            const initiativeDisplay = document.createElement("span");
+            initiativeDisplay.className = "initiative-value";
+            initiativeDisplay.textContent = initiativeItem.initiative || "—";
+            listItem.appendChild(initiativeDisplay);
+        }
+        return listItem;
+    };
+
+    // Editable initiative value for a row
+    const createInitiativeInput = (initiativeItem) => {
+        const initiativeInput = document.createElement("input");
+        initiativeInput.type = "number";
+        initiativeInput.className = "initiative-value";
+        initiativeInput.value = initiativeItem.initiative;
+        initiativeInput.placeholder = "—";
+
+        // Handle initiative value changes
+        initiativeInput.addEventListener("change", (e) => {
+            updateEntry(initiativeItem.id, { initiative: e.target.value });
+        });
+
+        // Prevent input from losing focus on click
+        initiativeInput.addEventListener("click", (e) => {
+            e.stopPropagation();
+        });
+
+        return initiativeInput;
+    };
+
+    const renderControls = () => {
+        // Running the fight is the GM's job
+        for (const control of [nextTurnButton, previousTurnButton, undoButton, combatButton]) {
+            if (control) {
+                control.hidden = !isGM();
+            }
+        }
+
+        // Turn controls only make sense once combat is running
+        if (nextTurnButton) {
+            nextTurnButton.disabled = !combat.inCombat || sortedItems.length <= 1;
+        }
+
+        if (previousTurnButton) {
+            const atStart = combat.round <= 1 && currentTurnIndex === sortedItems.findIndex(item => !item.held);
+            previousTurnButton.disabled = !combat.inCombat || sortedItems.length <= 1 || atStart;
+        }
+
+        if (undoButton) {
+            undoButton.disabled = !combat.inCombat || combat.history.length === 0;
+        }
+
+        if (combatButton) {
+            combatButton.textContent = combat.inCombat ? "End Combat" : "Start Combat";
+            combatButton.classList.toggle("in-combat", combat.inCombat);
+            combatButton.disabled = !combat.inCombat && sortedItems.length === 0;
+        }
+
+        if (roundLabel) {
+            roundLabel.textContent = combat.inCombat ? `Round ${combat.round}` : "Out of combat";
+        }
+
+        if (tieBreakerSelect) {
+            tieBreakerSelect.value = tieBreakerOrder.join(",");
+        }
+    };
 
     const renderList = (items) => {
+        latestItems = items;
+
         // Get the name and initiative of any item with
         // our initiative metadata
         const initiativeItems = [];
         for (const item of items) {
-            const metadata = item.metadata[`${ID}/metadata`];
+            const metadata = readEntry(item);
             if (metadata) {
                 initiativeItems.push({
                     initiative: metadata.initiative,
                     name: item.name,
                     id: item.id,
                     active: metadata.active || false,
+                    held: metadata.held || false,
+                    hp: metadata.hp || null,
+                    conditions: metadata.conditions || [],
+                    concentration: metadata.concentration || null,
+                    statblock: metadata.statblock || null,
+                    hidden: metadata.hidden || false,
+                    player: isPlayer(item, playerRegistry),
+                    ownerId: item.createdUserId,
+                    // Items added before tie-breakers existed get one derived
+                    // from data every client already shares
+                    tieBreaker: metadata.tieBreaker
+                        || createTieBreaker(metadata.statblock, isPlayer(item, playerRegistry), 0),
                 });
             }
         }
 
-        // Sort so the highest initiative value is on top
-        sortedItems = initiativeItems.sort(
-            (a, b) => parseFloat(b.initiative) - parseFloat(a.initiative)
-        );
+        // Lair actions take a turn at initiative 20 without a token
+        initiativeItems.push(...createLairEntries(items));
+
+        // Sort so the highest initiative value is on top, then break ties
+        // with the configured rules so every client agrees on the order.
+        // Lair entries lose every tie.
+        sortedItems = initiativeItems.sort((a, b) => compareInitiativeEntries(a, b, tieBreakerOrder));
 
         // Find the active turn index
-        const activeIndex = sortedItems.findIndex(item => item.active);
+        const activeIndex = sortedItems.findIndex(
+            item => item.active || (item.lair && item.id === combat.activeEntryId)
+        );
         if (activeIndex !== -1) {
             currentTurnIndex = activeIndex;
         }
 
-        // Enable/disable next turn button
-        if (buttonElement) {
-            buttonElement.disabled = sortedItems.length <= 1;
+        // Drop out of re-entry mode if that combatant is gone or no longer held
+        if (reenteringId && !sortedItems.some(item => item.id === reenteringId && item.held)) {
+            reenteringId = null;
         }
 
+        // Close the condition editor if its combatant left initiative
+        if (conditionEditor && !sortedItems.some(item => item.id === conditionEditor.id)) {
+            conditionEditor = null;
+        }
+        if (concentrationEditor && !sortedItems.some(item => item.id === concentrationEditor.id)) {
+            concentrationEditor = null;
+        }
+
+        renderControls();
+
         // Create new list nodes for each initiative item
         const nodes = [];
         for (let i = 0; i < sortedItems.length; i++) {
             const initiativeItem = sortedItems[i];
+            if (!isGM()) {
+                // Hidden entries still take their turns, players just never see them
+                if (!initiativeItem.hidden) {
+                    nodes.push(createPlayerRow(initiativeItem, i));
+                }
+                continue;
+            }
+
+            if (initiativeItem.lair) {
+                nodes.push(createLairRow(initiativeItem, i));
+                continue;
+            }
+
             const listItem = document.createElement("li");
             listItem.className = "initiative-item";
+            listItem.dataset.id = initiativeItem.id;
+            listItem.dataset.index = String(i);
+            listItem.tabIndex = 0;
+            listItem.setAttribute("aria-label", `${initiativeItem.name}, initiative ${initiativeItem.initiative || "not rolled"}`);
 
             // Add active class to the current turn
-            if (i === currentTurnIndex) {
+            if (combat.inCombat && i === currentTurnIndex) {
                 listItem.classList.add("active-turn");
             }
 
+            if (initiativeItem.held) {
+                listItem.classList.add("held");
+            }
+
+            if (initiativeItem.hp && initiativeItem.hp.current === 0) {
+                listItem.classList.add("down");
+            }
+
+            if (initiativeItem.hidden) {
+                listItem.classList.add("hidden-entry");
+            }
+
             // Click handler to skip to this character's turn
             listItem.addEventListener("click", (e) => {
-                // Don't trigger if clicking on the input field
-                if (e.target.tagName === "INPUT") return;
-
-                // Find the item in the full items list and update active state
-                OBR.scene.items.getItems().then((items) => {
-                    // Find the full item details for the active character
-                    const activeItem = items.find(item => item.id === initiativeItem.id);
-
-                    OBR.scene.items.updateItems(items, (itemsToUpdate) => {
-                        for (let item of itemsToUpdate) {
-                            const metadata = item.metadata[`${ID}/metadata`];
-                            if (metadata) {
-                                metadata.active = item.id === initiativeItem.id;
-                                item.metadata[`${ID}/metadata`] = metadata;
-                            }
-                        }
-                    });
-
-                    // Select the character
-                    OBR.player.select([initiativeItem.id]);
-
-                    // Update turn indicator
-                    if (onTurnChange && activeItem) {
-                        onTurnChange(activeItem);
-                    }
-                });
+                // Don't trigger if clicking on the input field or a row action
+                if (e.target.tagName === "INPUT" || e.target.closest("button")) return;
+                if (reenteringId) return;
+
+                if (combat.inCombat) {
+                    // Held creatures come back with Re-enter, which picks their spot
+                    if (initiativeItem.held) return;
+                    changeTurn(initiativeItem.id, combat.round);
+                } else {
+                    setActiveTurn(initiativeItem.id);
+                }
             });
 
-            const nameContainer = document.createElement("div");
-            nameContainer.className = "initiative-name";
-            nameContainer.textContent = initiativeItem.name;
+            // Keyboard reordering: Alt + Arrow Up/Down
+            listItem.addEventListener("keydown", (e) => {
+                if (!e.altKey || (e.key !== "ArrowUp" && e.key !== "ArrowDown")) return;
+                e.preventDefault();
 
-            // Create editable input for initiative value
-            const initiativeInput = document.createElement("input");
-            initiativeInput.type = "number";
-            initiativeInput.className = "initiative-value";
-            initiativeInput.value = initiativeItem.initiative;
-
-            // Handle initiative value changes
-            initiativeInput.addEventListener("change", (e) => {
-                const newValue = e.target.value;
-
-                // Update the item's metadata with the new initiative
-                OBR.scene.items.getItems().then((items) => {
-                    OBR.scene.items.updateItems(items, (itemsToUpdate) => {
-                        for (let item of itemsToUpdate) {
-                            if (item.id === initiativeItem.id) {
-                                const metadata = item.metadata[`${ID}/metadata`];
-                                if (metadata) {
-                                    metadata.initiative = newValue;
-                                    item.metadata[`${ID}/metadata`] = metadata;
-                                }
-                            }
-                        }
-                    });
-                });
+                const targetIndex = e.key === "ArrowUp" ? i - 1 : i + 1;
+                if (targetIndex < 0 || targetIndex >= sortedItems.length) return;
+
+                focusAfterRender = initiativeItem.id;
+                moveItem(initiativeItem.id, targetIndex);
+            });
+
+            // Mouse drag-and-drop, started from the handle only so the
+            // initiative input keeps normal text selection
+            listItem.addEventListener("dragstart", (e) => {
+                draggedId = initiativeItem.id;
+                e.dataTransfer.effectAllowed = "move";
+                e.dataTransfer.setData("text/plain", initiativeItem.id);
+                listItem.classList.add("dragging");
             });
 
-            // Prevent input from losing focus on click
-            initiativeInput.addEventListener("click", (e) => {
+            listItem.addEventListener("dragend", () => {
+                draggedId = null;
+                listItem.draggable = false;
+                listItem.classList.remove("dragging");
+                clearDropMarkers();
+            });
+
+            listItem.addEventListener("dragover", (e) => {
+                if (!draggedId) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = "move";
+                markDropTarget(listItem, e.clientY);
+            });
+
+            listItem.addEventListener("drop", (e) => {
+                if (!draggedId) return;
+                e.preventDefault();
+
+                const after = markDropTarget(listItem, e.clientY);
+                clearDropMarkers();
+                moveItem(draggedId, getDropIndex(draggedId, i, after));
+            });
+
+            const dragHandle = document.createElement("span");
+            dragHandle.className = "drag-handle";
+            dragHandle.textContent = "⠿";
+            dragHandle.title = "Drag to reorder (Alt + ↑/↓ from the keyboard)";
+
+            dragHandle.addEventListener("mousedown", () => {
+                listItem.draggable = true;
+            });
+
+            dragHandle.addEventListener("mouseup", () => {
+                listItem.draggable = false;
+            });
+
+            // Touch devices don't fire HTML5 drag events, so track the finger
+            // and find the row under it ourselves
+            dragHandle.addEventListener("touchstart", (e) => {
+                e.preventDefault();
+                draggedId = initiativeItem.id;
+                listItem.classList.add("dragging");
+            }, { passive: false });
+
+            dragHandle.addEventListener("touchmove", (e) => {
+                e.preventDefault();
+                const touch = e.touches[0];
+                const row = document.elementFromPoint(touch.clientX, touch.clientY)?.closest(".initiative-item");
+                if (row && element.contains(row)) {
+                    markDropTarget(row, touch.clientY);
+                }
+            }, { passive: false });
+
+            dragHandle.addEventListener("touchend", (e) => {
+                const touch = e.changedTouches[0];
+                const row = document.elementFromPoint(touch.clientX, touch.clientY)?.closest(".initiative-item");
+                const movedId = draggedId;
+
+                draggedId = null;
+                listItem.classList.remove("dragging");
+                clearDropMarkers();
+
+                if (row && element.contains(row) && movedId) {
+                    const rect = row.getBoundingClientRect();
+                    const after = touch.clientY > rect.top + rect.height / 2;
+                    moveItem(movedId, getDropIndex(movedId, parseInt(row.dataset.index), after));
+                }
+            });
+
+            dragHandle.addEventListener("touchcancel", () => {
+                draggedId = null;
+                listItem.classList.remove("dragging");
+                clearDropMarkers();
+            });
+
+            // Don't treat grabbing the handle as selecting the row
+            dragHandle.addEventListener("click", (e) => {
                 e.stopPropagation();
             });
 
-            listItem.appendChild(nameContainer);
-            listItem.appendChild(initiativeInput);
+            const details = document.createElement("div");
+            details.className = "initiative-details";
+
+            const nameContainer = document.createElement("div");
+            nameContainer.className = "initiative-name";
+            nameContainer.textContent = initiativeItem.name;
+            details.appendChild(nameContainer);
+
+            if (initiativeItem.concentration) {
+                details.appendChild(createConcentrationBadge(initiativeItem.concentration));
+            }
+
+            if (initiativeItem.conditions.length > 0) {
+                details.appendChild(createConditionBadges(
+                    initiativeItem.conditions,
+                    getCombatantName,
+                    (conditionId) => removeCondition(initiativeItem.id, conditionId)
+                ));
+            }
+
+            listItem.appendChild(dragHandle);
+            listItem.appendChild(details);
+            if (initiativeItem.held) {
+                const heldBadge = document.createElement("span");
+                heldBadge.className = "held-badge";
+                heldBadge.textContent = "Held";
+                listItem.appendChild(heldBadge);
+            }
+            listItem.appendChild(createTurnActions(initiativeItem, i));
+            listItem.appendChild(createHpControls(initiativeItem));
+            listItem.appendChild(createInitiativeInput(initiativeItem));
             nodes.push(listItem);
+
+            if (conditionEditor?.id === initiativeItem.id) {
+                nodes.push(getConditionEditorElement(initiativeItem.id));
+            }
+
+            if (concentrationEditor?.id === initiativeItem.id && !initiativeItem.concentration) {
+                nodes.push(getConcentrationEditorElement(initiativeItem));
+            }
+
+            const pendingDc = initiativeItem.concentration?.pendingChecks?.[0];
+            if (pendingDc !== undefined) {
+                nodes.push(createConcentrationPrompt({
+                    name: initiativeItem.name,
+                    dc: pendingDc,
+                    bonus: getConSaveBonus(initiativeItem.statblock),
+                    onRoll: () => rollConcentration(initiativeItem, pendingDc),
+                    onResolve: (success) => resolveConcentration(initiativeItem, success),
+                }));
+            }
         }
 
         if (nodes.length === 0) {
@@ -128,45 +890,113 @@ export function setupInitiativeList(element, buttonElement, onTurnChange) {
         } else {
             element.replaceChildren(...nodes);
         }
+
+        // Keep keyboard focus on a row that was just moved
+        if (focusAfterRender) {
+            const focusedRow = nodes.find(node => node.dataset.id === focusAfterRender);
+            if (focusedRow) {
+                focusedRow.focus();
+                focusAfterRender = null;
+            }
+        }
     };
 
     // Next turn button handler
-    if (buttonElement) {
-        buttonElement.addEventListener("click", () => {
+    if (nextTurnButton) {
+        nextTurnButton.addEventListener("click", () => {
             if (sortedItems.length <= 1) return;
+            advanceTurn();
+        });
+    }
 
-            // Move to next turn (wrap around to 0 if at the end)
-            currentTurnIndex = (currentTurnIndex + 1) % sortedItems.length;
-
-            // Get the ID of the character whose turn it is
-            const activeCharacterId = sortedItems[currentTurnIndex].id;
-
-            // Update all items to mark the new active one
-            OBR.scene.items.getItems().then((items) => {
-                // Find the full item details for the active character
-                const activeItem = items.find(item => item.id === activeCharacterId);
-
-                OBR.scene.items.updateItems(items, (itemsToUpdate) => {
-                    for (let item of itemsToUpdate) {
-                        const metadata = item.metadata[`${ID}/metadata`];
-                        if (metadata) {
-                            // Set active flag based on whether this is the current turn
-                            metadata.active = item.id === activeCharacterId;
-                            item.metadata[`${ID}/metadata`] = metadata;
-                        }
-                    }
-                });
+    // Previous turn button handler
+    if (previousTurnButton) {
+        previousTurnButton.addEventListener("click", () => {
+            if (sortedItems.length <= 1) return;
+            rewindTurn();
+        });
+    }
 
-                // Select the character whose turn it is
-                OBR.player.select([activeCharacterId]);
+    // Undo button handler
+    if (undoButton) {
+        undoButton.addEventListener("click", undoTurn);
+    }
+
+    // Start/End combat button handler
+    if (combatButton) {
+        combatButton.addEventListener("click", async () => {
+            if (combat.inCombat) {
+                combat = await setCombatState({ inCombat: false, round: 0, history: [] });
+                reenteringId = null;
 
-                // Update turn indicator
-                if (onTurnChange && activeItem) {
-                    onTurnChange(activeItem);
+                // Nobody keeps a held turn once the fight is over
+                const heldIds = sortedItems.filter(item => item.held).map(item => item.id);
+                for (const id of heldIds) {
+                    await updateEntry(id, { held: false });
                 }
-            });
+
+                // Clearing the active flag on everyone hides the turn indicator
+                await setActiveTurn(null);
+            } else {
+                const firstIndex = sortedItems.findIndex(item => !item.held);
+                if (firstIndex === -1) return;
+
+                combat = await setCombatState({ inCombat: true, round: 1, history: [] });
+                currentTurnIndex = firstIndex;
+                await setActiveTurn(sortedItems[firstIndex].id);
+            }
+            renderControls();
+        });
+    }
+
+    // Tie-breaker order select
+    if (tieBreakerSelect) {
+        tieBreakerSelect.replaceChildren(...TIE_BREAKER_PRESETS.map((preset) => {
+            const option = document.createElement("option");
+            option.value = preset.value.join(",");
+            option.textContent = preset.label;
+            return option;
+        }));
+
+        tieBreakerSelect.addEventListener("change", (e) => {
+            setTieBreakerOrder(e.target.value.split(","));
         });
     }
 
+    const applySceneMetadata = (metadata) => {
+        combat = readCombatState(metadata);
+        tieBreakerOrder = readTieBreakerOrder(metadata);
+    };
+
+    OBR.scene.onMetadataChange((metadata) => {
+        applySceneMetadata(metadata);
+        renderList(latestItems);
+    });
+
+    OBR.scene.getMetadata().then((metadata) => {
+        applySceneMetadata(metadata);
+        return OBR.scene.items.getItems();
+    }).then(renderList);
+
     OBR.scene.items.onChange(renderList);
-}
\ No newline at end of file
+
+    // Switch between the GM and player views when the role is known or changes
+    const applyRole = () => {
+        conditionEditor = null;
+        concentrationEditor = null;
+        reenteringId = null;
+        renderList(latestItems);
+    };
+
+    loadPlayerRole().then(applyRole);
+    onPlayerRoleChange(applyRole);
+
+    // PC detection depends on who is in the room and the room's name list
+    const applyPlayerRegistry = (registry) => {
+        playerRegistry = registry;
+        renderList(latestItems);
+    };
+
+    getPlayerRegistry().then(applyPlayerRegistry);
+    onPlayerRegistryChange(applyPlayerRegistry);
+}
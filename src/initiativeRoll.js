@@ -0,0 +1,84 @@
+/**
+ * initiativeRoll.js - Initiative rolling for statblock creatures
+ * Works out a creature's initiative bonus (explicit bonus, or DEX modifier
+ * plus any stated bonus) and whether it rolls with advantage
+ */
+
+import { calculateModifier, getProficiency } from "./renderer";
+
+/**
+ * Collect every trait description in a statblock as one searchable string
+ * @param {object} statblock - Creature data
+ * @returns {string} Concatenated trait text
+ */
+function getTraitText(statblock) {
+  const sections = [statblock.traits, statblock.actions, statblock.bonus_actions, statblock.reactions];
+  return sections
+    .filter(Array.isArray)
+    .flat()
+    .map(trait => `${trait.name || ''}. ${trait.desc || ''}`)
+    .join('\n');
+}
+
+/**
+ * Get the initiative bonus for a creature
+ * Prefers an explicit `initiative` value (2024 statblocks, e.g. "+7 (17)"),
+ * otherwise DEX modifier plus any "bonus to initiative" stated in a trait
+ * @param {object} statblock - Creature data
+ * @returns {number} Initiative bonus
+ */
+function getInitiativeBonus(statblock) {
+  if (!statblock) return 0;
+
+  // Explicit initiative field takes precedence over everything else
+  if (statblock.initiative !== undefined && statblock.initiative !== null) {
+    const explicit = String(statblock.initiative).match(/^\s*([+-]?\d+)/);
+    if (explicit) return parseInt(explicit[1]);
+  }
+
+  const dex = statblock.stats?.[1] ?? 10;
+  let bonus = parseInt(calculateModifier(dex));
+
+  // Traits such as "adds its proficiency bonus to initiative" or "+5 bonus to initiative"
+  const text = getTraitText(statblock);
+  const flatBonus = text.match(/([+-]?\d+) bonus to (?:its )?initiative/i);
+  if (flatBonus) bonus += parseInt(flatBonus[1]);
+  if (/proficiency bonus to (?:its )?initiative/i.test(text)) {
+    bonus += getProficiency(statblock.cr);
+  }
+
+  return bonus;
+}
+
+/**
+ * Check whether a creature rolls initiative with advantage
+ * @param {object} statblock - Creature data
+ * @returns {boolean} True if a trait grants advantage on initiative
+ */
+function hasInitiativeAdvantage(statblock) {
+  if (!statblock) return false;
+  return /advantage on initiative/i.test(getTraitText(statblock));
+}
+
+/**
+ * Roll initiative for a creature
+ * @param {object} statblock - Creature data
+ * @param {DiceRoller} roller - DiceRoller instance
+ * @returns {object} Roll result from DiceRoller
+ */
+function rollInitiative(statblock, roller) {
+  const bonus = getInitiativeBonus(statblock);
+
+  if (hasInitiativeAdvantage(statblock)) {
+    return roller.rollAdvantage(bonus);
+  }
+
+  const modStr = bonus >= 0 ? `+${bonus}` : `${bonus}`;
+  return roller.roll(`1d20${modStr}`);
+}
+
+export {
+  getInitiativeBonus,
+  hasInitiativeAdvantage,
+  rollInitiative,
+};
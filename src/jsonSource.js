@@ -0,0 +1,195 @@
+/**
+ * jsonSource.js - Monster source backed by a Fantasy Statblocks JSON file
+ * Reads the bestiary.json bundled next to the extension (if any), plus a
+ * file the user uploaded, which is kept in this browser
+ *
+ * Fantasy Statblocks names the same monster from different books
+ * "Goblin (MM)" and "Goblin (XMM)"; those are one monster with a variant
+ * per book here
+ */
+
+const ID = "com.tutorial.initiative-tracker";
+const UPLOAD_KEY = `${ID}/uploadedBestiary`;
+
+// Relative so it resolves wherever the extension is hosted
+const BUNDLED_PATH = 'bestiary.json';
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Pull creatures out of any of the shapes Fantasy Statblocks writes:
+ * an exported array of creatures, the plugin's data.json
+ * ({ monsters: [[name, statblock], ...] }), or a single creature
+ * @param {*} data - Parsed JSON
+ * @returns {Map<string, object>} Statblocks keyed by lowercase name
+ */
+function readCreatureList(data) {
+  const creatures = new Map();
+
+  const add = (statblock, name = statblock?.name) => {
+    if (statblock && typeof statblock === 'object' && typeof name === 'string' && name.trim()) {
+      creatures.set(name.trim().toLowerCase(), { ...statblock, name: statblock.name || name });
+    }
+  };
+
+  if (Array.isArray(data?.monsters)) {
+    data = data.monsters;
+  }
+
+  if (Array.isArray(data)) {
+    for (const entry of data) {
+      if (Array.isArray(entry)) {
+        add(entry[1], entry[0]);
+      } else {
+        add(entry);
+      }
+    }
+  } else {
+    add(data);
+  }
+
+  return creatures;
+}
+
+/**
+ * Split a statblock's name into the monster and the book it's from.
+ * The book is the "(XMM)" suffix, or the statblock's own source field
+ * @param {object} statblock - Creature data
+ * @returns {object} { name, book }
+ */
+function splitBookSuffix(statblock) {
+  const match = statblock.name.match(/^(.*) \(([A-Z0-9]+)\)$/);
+  if (match) {
+    return { name: match[1], book: match[2] };
+  }
+  return { name: statblock.name, book: typeof statblock.source === 'string' ? statblock.source : 'JSON' };
+}
+
+/**
+ * Group creature lists by monster; a later list's variant of the same
+ * book replaces an earlier one's
+ * @param {Map<string, object>[]} creatureLists - From readCreatureList()
+ * @returns {Map<string, Map<string, object>>} lowercase name → book → statblock
+ */
+function groupByMonster(creatureLists) {
+  const monsters = new Map();
+
+  for (const creatures of creatureLists) {
+    for (const statblock of creatures.values()) {
+      const { name, book } = splitBookSuffix(statblock);
+      const key = name.toLowerCase();
+      const variants = monsters.get(key) ?? new Map();
+      variants.set(book, statblock);
+      monsters.set(key, variants);
+    }
+  }
+
+  return monsters;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Keep an uploaded bestiary in this browser
+ * @param {string} text - The file's contents
+ * @returns {number} Number of creatures found
+ * @throws {Error} If the file isn't JSON, has no creatures or doesn't fit in storage
+ */
+function saveUploadedBestiary(text) {
+  const creatures = readCreatureList(JSON.parse(text));
+  if (creatures.size === 0) {
+    throw new Error('No creatures found in file');
+  }
+
+  localStorage.setItem(UPLOAD_KEY, text);
+  return creatures.size;
+}
+
+function clearUploadedBestiary() {
+  localStorage.removeItem(UPLOAD_KEY);
+}
+
+function hasUploadedBestiary() {
+  return localStorage.getItem(UPLOAD_KEY) !== null;
+}
+
+async function loadBundledBestiary() {
+  const response = await fetch(BUNDLED_PATH);
+
+  // Not shipping a bestiary is normal, not a failure
+  if (response.status === 404) {
+    return new Map();
+  }
+  if (!response.ok) {
+    throw new Error(`Bundled bestiary error: ${response.status}`);
+  }
+
+  // Dev servers answer unknown paths with index.html
+  if (!response.headers.get('content-type')?.includes('json')) {
+    return new Map();
+  }
+
+  return readCreatureList(await response.json());
+}
+
+function loadUploadedBestiary() {
+  const text = localStorage.getItem(UPLOAD_KEY);
+  return text === null ? new Map() : readCreatureList(JSON.parse(text));
+}
+
+// ============================================
+// SOURCE PROVIDER
+// ============================================
+
+/**
+ * Create the JSON monster source. Uploaded creatures override bundled
+ * ones with the same name and book.
+ * @returns {object} Monster source ({ id, name, list, getVariants, get, getLink, getLinked })
+ */
+function createJsonSource() {
+  let monsters = new Map();
+
+  const getVariants = (name) => {
+    const key = name.toLowerCase();
+    return [...(monsters.get(key)?.keys() || [])].map(book => ({ book, link: { key, book } }));
+  };
+
+  return {
+    id: 'json',
+    name: 'Fantasy Statblocks JSON',
+
+    async list() {
+      monsters = groupByMonster([await loadBundledBestiary(), loadUploadedBestiary()]);
+      return [...monsters.values()].map(variants => splitBookSuffix(variants.values().next().value).name);
+    },
+
+    getVariants,
+
+    async get(name) {
+      return monsters.get(name.toLowerCase())?.values().next().value ?? null;
+    },
+
+    getLink(name) {
+      return getVariants(name)[0]?.link ?? null;
+    },
+
+    // Links made before variants were kept have no book; they get the first
+    async getLinked(link) {
+      const variants = monsters.get(link.key);
+      if (!variants) return null;
+      return variants.get(link.book) ?? (link.book ? null : variants.values().next().value);
+    },
+  };
+}
+
+export {
+  readCreatureList,
+  saveUploadedBestiary,
+  clearUploadedBestiary,
+  hasUploadedBestiary,
+  createJsonSource,
+};
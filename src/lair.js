@@ -0,0 +1,43 @@
+import { readEntry } from "./entryMetadata";
+
+const LAIR_PREFIX = "lair:";
+
+/**
+ * Initiative count lair actions happen on
+ */
+export const LAIR_INITIATIVE = "20";
+
+/**
+ * Check whether an initiative entry id belongs to a virtual lair entry
+ * @param {string|null} id - Entry id
+ * @returns {boolean} True for lair entries
+ */
+export function isLairEntry(id) {
+  return typeof id === "string" && id.startsWith(LAIR_PREFIX);
+}
+
+/**
+ * Build the virtual "Lair" initiative entries for every combatant whose
+ * statblock has lair actions. They have no scene token; their state lives
+ * in the combat state instead of item metadata. A lair is hidden from
+ * players whenever its owner is
+ * @param {Object[]} items - Scene items
+ * @returns {Object[]} Lair entries ({ id, name, initiative, hidden, lair: { ownerId, statblock } })
+ */
+export function createLairEntries(items) {
+  const entries = [];
+  for (const item of items) {
+    const metadata = readEntry(item);
+    const statblock = metadata?.statblock;
+    if (statblock?.lair_actions?.length) {
+      entries.push({
+        id: `${LAIR_PREFIX}${item.id}`,
+        name: `Lair (${item.name})`,
+        initiative: LAIR_INITIATIVE,
+        hidden: metadata.hidden || false,
+        lair: { ownerId: item.id, statblock },
+      });
+    }
+  }
+  return entries;
+}
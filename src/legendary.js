@@ -0,0 +1,120 @@
+/**
+ * legendary.js - Legendary action and legendary resistance counters
+ * Stored per combatant as metadata.legendary = {
+ *   actions: { max, remaining } | null,
+ *   resistances: { max, remaining } | null,
+ * }
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { readEntry, writeEntry } from "./entryMetadata";
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse how many legendary actions a creature can take per round
+ * Reads "can take 3 legendary actions" (2014) or "Legendary Action Uses: 3" (2024),
+ * defaulting to 3 when the creature has legendary actions but no stated count
+ * @param {object} statblock - Creature data
+ * @returns {number} Legendary actions per round (0 if none)
+ */
+function parseLegendaryActionCount(statblock) {
+  if (!statblock?.legendary_actions?.length) return 0;
+
+  const text = [
+    statblock.legendary_description,
+    ...statblock.legendary_actions.map(action => `${action.name || ''} ${action.desc || ''}`),
+  ].filter(Boolean).join('\n');
+
+  const match = text.match(/can take (\d+) legendary actions/i)
+    || text.match(/legendary action uses:?\s*(\d+)/i);
+
+  return match ? parseInt(match[1]) : 3;
+}
+
+/**
+ * Parse uses per day of Legendary Resistance, e.g. "Legendary Resistance (3/Day)"
+ * @param {object} statblock - Creature data
+ * @returns {number} Uses per day (0 if none)
+ */
+function parseLegendaryResistanceCount(statblock) {
+  for (const trait of statblock?.traits || []) {
+    const match = `${trait.name || ''} ${trait.desc || ''}`.match(/legendary resistance\s*\((\d+)\/day/i);
+    if (match) return parseInt(match[1]);
+  }
+  return 0;
+}
+
+/**
+ * Create the legendary counters for a creature
+ * @param {object} statblock - Creature data
+ * @returns {object|null} Legendary state, or null if the creature has neither
+ */
+function createLegendary(statblock) {
+  const actions = parseLegendaryActionCount(statblock);
+  const resistances = parseLegendaryResistanceCount(statblock);
+  if (!actions && !resistances) return null;
+
+  return {
+    actions: actions ? { max: actions, remaining: actions } : null,
+    resistances: resistances ? { max: resistances, remaining: resistances } : null,
+  };
+}
+
+// ============================================================================
+// UPDATES
+// ============================================================================
+
+/**
+ * Change one legendary counter on an item
+ * @param {string} itemId - Item id
+ * @param {string} kind - "actions" or "resistances"
+ * @param {number} delta - -1 to spend, +1 to regain
+ */
+async function adjustLegendary(itemId, kind, delta) {
+  await OBR.scene.items.updateItems([itemId], (items) => {
+    for (let item of items) {
+      const metadata = readEntry(item);
+      const counter = metadata?.legendary?.[kind];
+      if (counter) {
+        counter.remaining = Math.min(counter.max, Math.max(0, counter.remaining + delta));
+        writeEntry(item, metadata);
+      }
+    }
+  });
+}
+
+/**
+ * Regain all legendary actions at the start of a creature's turn
+ * @param {string} itemId - Item id
+ * @returns {Promise<number>} How many spent actions were regained
+ */
+async function resetLegendaryActions(itemId) {
+  let regained = 0;
+  await OBR.scene.items.updateItems([itemId], (items) => {
+    for (let item of items) {
+      const metadata = readEntry(item);
+      const actions = metadata?.legendary?.actions;
+      if (actions) {
+        regained = actions.max - actions.remaining;
+        actions.remaining = actions.max;
+        writeEntry(item, metadata);
+      }
+    }
+  });
+  return regained;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  parseLegendaryActionCount,
+  parseLegendaryResistanceCount,
+  createLegendary,
+  adjustLegendary,
+  resetLegendaryActions,
+};
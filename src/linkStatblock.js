@@ -0,0 +1,156 @@
+import "./style.css";
+import OBR from "@owlbear-rodeo/sdk";
+import { configureMonsterFetcher } from "./monsterFetcher";
+import { getConnectionSettings } from "./connectionSettings";
+import { createMonsterSources } from "./monsterSources";
+import {
+  createMonsterIndex,
+  restoreMonsterIndex,
+  refreshMonsterIndex,
+  getAllMonsterNames,
+  getMonsterVariants,
+  createMonsterLink,
+  setBookPriority,
+} from "./monsterIndex";
+import { getRoomSettings } from "./roomSettings";
+import { setStatblockLink, LINK_MODAL_ID, STATBLOCK_LINK_KEY } from "./statblockLinks";
+import { DiceRoller } from "./dice";
+
+// Long lists are slow to render and useless to scroll; search narrows them
+const MAX_RESULTS = 100;
+
+document.querySelector("#app").innerHTML = `
+  <div class="link-picker">
+    <div class="link-picker-title">Link Stat Block</div>
+    <div id="link-picker-target" class="link-picker-target"></div>
+    <input id="link-search" class="link-search" type="search" placeholder="Search monsters…" autocomplete="off" />
+    <ul id="link-results" class="link-results"></ul>
+    <div class="link-picker-buttons">
+      <button id="unlink-button" class="row-action">Remove link</button>
+      <button id="cancel-button" class="row-action">Cancel</button>
+    </div>
+  </div>
+`;
+
+/**
+ * Names containing every word of the query, names starting with it first
+ * @param {string[]} names - Index keys
+ * @param {string} query - Search text
+ * @returns {string[]} Matching names
+ */
+function searchMonsterNames(names, query) {
+  const text = query.trim().toLowerCase();
+  const words = text.split(/\s+/).filter(Boolean);
+  const matches = names.filter(name => words.every(word => name.includes(word)));
+  return [
+    ...matches.filter(name => name.startsWith(text)),
+    ...matches.filter(name => !name.startsWith(text)),
+  ];
+}
+
+OBR.onReady(async () => {
+  const itemIds = (new URLSearchParams(window.location.search).get("items") || "")
+    .split(",")
+    .filter(Boolean);
+
+  const target = document.querySelector("#link-picker-target");
+  const searchInput = document.querySelector("#link-search");
+  const results = document.querySelector("#link-results");
+  const unlinkButton = document.querySelector("#unlink-button");
+  const cancelButton = document.querySelector("#cancel-button");
+
+  const close = () => OBR.modal.close(LINK_MODAL_ID);
+
+  const items = await OBR.scene.items.getItems(itemIds);
+  const names = items.map(item => item.name).join(", ");
+  const currentLink = items.length === 1 ? items[0].metadata[STATBLOCK_LINK_KEY] : null;
+  target.textContent = currentLink
+    ? `${names} → ${currentLink.name}${currentLink.book ? ` (${currentLink.book})` : ""}`
+    : `${names} (matched by name)`;
+  unlinkButton.disabled = !items.some(item => item.metadata[STATBLOCK_LINK_KEY]);
+
+  // Build the same index the tracker uses, from the cache where possible
+  configureMonsterFetcher(getConnectionSettings());
+  const monsterIndex = createMonsterIndex(createMonsterSources());
+  setBookPriority(monsterIndex, (await getRoomSettings()).bookPriority);
+  const diceRoller = new DiceRoller();
+  let loading = true;
+  let indexReady = null;
+
+  // Linking looks up the old and new statblocks, so it waits for the whole index
+  const link = async (key, variant) => {
+    const monsterLink = createMonsterLink(key, monsterIndex, variant);
+    if (!monsterLink) return;
+    await indexReady;
+    await setStatblockLink(itemIds, monsterLink, monsterIndex, diceRoller);
+    OBR.notification.show(`Linked ${names} to ${monsterLink.name} (${monsterLink.book})`, "SUCCESS");
+    close();
+  };
+
+  // One row per book a monster is in, preferred book first
+  const renderResults = () => {
+    const matches = searchMonsterNames(getAllMonsterNames(monsterIndex), searchInput.value);
+    const rows = matches.slice(0, MAX_RESULTS).flatMap((key) => {
+      const name = monsterIndex.entries.get(key).name;
+      return getMonsterVariants(key, monsterIndex)
+        .filter(variant => variant.link)
+        .map((variant) => {
+          const row = document.createElement("li");
+          const button = document.createElement("button");
+          button.className = "link-result";
+          button.textContent = name;
+          const book = document.createElement("span");
+          book.className = "link-result-book";
+          book.textContent = variant.book;
+          button.appendChild(book);
+          button.addEventListener("click", () => link(key, variant));
+          row.appendChild(button);
+          return row;
+        });
+    });
+
+    if (rows.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "empty-state";
+      empty.textContent = loading && monsterIndex.entries.size === 0 ? "Loading monsters…" : "No monsters found";
+      rows.push(empty);
+    } else if (matches.length > MAX_RESULTS) {
+      const more = document.createElement("li");
+      more.className = "link-results-more";
+      more.textContent = `${matches.length - MAX_RESULTS} more, keep typing to narrow down`;
+      rows.push(more);
+    }
+
+    results.replaceChildren(...rows);
+  };
+
+  searchInput.addEventListener("input", renderResults);
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      results.querySelector(".link-result")?.click();
+    } else if (e.key === "Escape") {
+      close();
+    }
+  });
+
+  unlinkButton.addEventListener("click", async () => {
+    await indexReady;
+    await setStatblockLink(itemIds, null, monsterIndex, diceRoller);
+    close();
+  });
+  cancelButton.addEventListener("click", close);
+
+  searchInput.focus();
+  indexReady = restoreMonsterIndex(monsterIndex).then(() => {
+    renderResults();
+
+    // Only go to the network for sources without a cached listing
+    const uncached = monsterIndex.sources
+      .filter(source => !monsterIndex.listings.has(source.id))
+      .map(source => source.id);
+    return refreshMonsterIndex(monsterIndex, uncached);
+  });
+  await indexReady;
+  loading = false;
+  renderResults();
+});
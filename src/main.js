@@ -2,19 +2,153 @@ import "./style.css";
 import OBR from "@owlbear-rodeo/sdk";
 import { setupContextMenu } from "./contextMenu";
 import { setupInitiativeList } from "./initiativeList";
-import { isPlayer } from "./utils";
-import { buildMonsterIndex, getMonsterByTokenName } from "./monsterFetcher";
-import { renderStatBlock, initRenderer } from "./renderer";
+import { isPlayer, getPlayerRegistry } from "./playerCharacters";
+import { configureMonsterFetcher } from "./monsterFetcher";
+import { createMonsterSources } from "./monsterSources";
+import { onRoomHomebrewChange } from "./roomHomebrew";
+import {
+  createMonsterIndex,
+  restoreMonsterIndex,
+  refreshMonsterIndex,
+  findChangedSources,
+  setBookPriority,
+} from "./monsterIndex";
+import { getMonsterForItem, clearChangedStatblocks, clearUnlinkedStatblocks } from "./statblockLinks";
+import { renderStatBlock, renderLairActions, initRenderer } from "./renderer";
 import { DiceRoller, initDiceHandlers, injectDiceStyles } from "./dice";
+import { getRoomSettings, onRoomSettingsChange } from "./roomSettings";
+import { setupTrackerOptions } from "./trackerOptions";
+import { getConnectionSettings, onConnectionSettingsChange } from "./connectionSettings";
+import { setupConnectionOptions } from "./connectionOptions";
+import { setupMonsterSourceOptions } from "./monsterSourceOptions";
+import { setupBestiaryBrowser } from "./bestiaryBrowser";
+import { setupEncounterBuilder } from "./encounterBuilder";
+import { confirmMonsterMatch } from "./matchConfirm";
+import { createCombatantState } from "./combatantState";
+import { toggleRecharge, syncRechargeToggles } from "./recharge";
+import { renderTurnStatus } from "./turnStatus";
+import { readEntry, writeEntry } from "./entryMetadata";
+import { loadPlayerRole, isGM, onPlayerRoleChange } from "./playerRole";
 
-const ID = "com.tutorial.initiative-tracker";
+// How often the GM's tracker asks the vault whether anything was edited
+const CHANGE_CHECK_INTERVAL = 60 * 1000;
 
 document.querySelector("#app").innerHTML = `
+  <div class="combat-bar">
+    <span id="round-counter" class="round-counter">Out of combat</span>
+    <button id="refresh-monsters-button" class="refresh-monsters-button" title="Refresh monsters">⟳</button>
+    <button id="bestiary-toggle" class="options-toggle" title="Bestiary">📖</button>
+    <button id="encounter-toggle" class="options-toggle" title="Encounter builder">⚔</button>
+    <button id="options-toggle" class="options-toggle" title="Tracker options">⚙</button>
+    <button id="combat-button" class="combat-button">Start Combat</button>
+  </div>
+  <div id="index-status" class="index-status" hidden></div>
+  <div id="bestiary-panel" class="bestiary-panel" hidden>
+    <input id="bestiary-search" class="bestiary-search" type="search" placeholder="Search monsters…" autocomplete="off" />
+    <div class="bestiary-filters">
+      <select id="bestiary-min-cr" title="Lowest challenge rating"></select>
+      <select id="bestiary-max-cr" title="Highest challenge rating"></select>
+      <select id="bestiary-type" title="Creature type"></select>
+      <select id="bestiary-size" title="Size"></select>
+      <select id="bestiary-environment" title="Environment"></select>
+      <select id="bestiary-book" title="Source"></select>
+    </div>
+    <div id="bestiary-status" class="bestiary-status"></div>
+    <ul id="bestiary-results" class="bestiary-results"></ul>
+    <div id="bestiary-preview" class="bestiary-preview" hidden></div>
+  </div>
+  <div id="encounter-panel" class="encounter-panel" hidden>
+    <div class="encounter-party">
+      <label>
+        Party size
+        <input type="number" id="party-size-input" class="party-size-input" min="1" value="4" />
+      </label>
+      <label>
+        Levels
+        <input type="text" id="party-levels-input" class="party-levels-input" value="1" title="One level for everyone, or one per character (5, 5, 4, 6)" />
+      </label>
+    </div>
+    <div class="encounter-add">
+      <input type="search" id="encounter-monster-input" class="bestiary-search" list="encounter-monster-options" placeholder="Add a monster…" autocomplete="off" />
+      <datalist id="encounter-monster-options"></datalist>
+      <button id="encounter-add-button" class="row-action">Add</button>
+    </div>
+    <ul id="encounter-monsters" class="encounter-monsters"></ul>
+    <div id="encounter-summary" class="encounter-summary"></div>
+    <div class="encounter-save">
+      <input type="text" id="encounter-name-input" placeholder="Encounter name" />
+      <button id="save-encounter-button" class="row-action">Save</button>
+    </div>
+    <div class="encounter-save">
+      <select id="saved-encounters-select"></select>
+      <button id="load-encounter-button" class="row-action">Load</button>
+      <button id="delete-encounter-button" class="row-action">Delete</button>
+    </div>
+  </div>
+  <div id="tracker-options" class="tracker-options" hidden>
+    <select id="tie-breaker-select" class="tie-breaker-select" title="Tie-breaker order"></select>
+    <label class="option-row">
+      <input type="checkbox" id="roll-hit-dice-checkbox" />
+      Roll NPC hit dice instead of average HP
+    </label>
+    <label class="option-column">
+      Player character names (one per line)
+      <textarea id="pc-names-input" class="pc-names-input" rows="3"></textarea>
+    </label>
+    <label class="option-column">
+      Preferred books, first to last (e.g. XMM, MM, Homebrew)
+      <input type="text" id="book-priority-input" class="book-priority-input" />
+    </label>
+    <fieldset class="connection-options">
+      <legend>Obsidian connection (this browser only)</legend>
+      <label class="option-column">
+        API key
+        <input type="password" id="api-key-input" autocomplete="off" />
+      </label>
+      <label class="option-column">
+        Address
+        <input type="text" id="base-url-input" />
+      </label>
+      <label class="option-column">
+        Bestiary folder
+        <input type="text" id="bestiary-path-input" />
+      </label>
+      <label class="option-column">
+        Fantasy Statblocks data.json
+        <input type="text" id="plugin-data-path-input" />
+      </label>
+      <div class="connection-buttons">
+        <button id="test-connection-button" class="row-action">Test connection</button>
+        <button id="save-connection-button" class="row-action">Save</button>
+      </div>
+      <span id="connection-status" class="connection-status"></span>
+    </fieldset>
+    <fieldset class="connection-options">
+      <legend>Other monster sources</legend>
+      <label class="option-column">
+        Fantasy Statblocks JSON (this browser only)
+        <input type="file" id="bestiary-file-input" accept=".json,application/json" />
+      </label>
+      <div class="connection-buttons">
+        <button id="clear-bestiary-button" class="row-action">Forget uploaded JSON</button>
+      </div>
+      <label class="option-column">
+        Add homebrew JSON to this room
+        <input type="file" id="homebrew-file-input" accept=".json,application/json" />
+      </label>
+      <ul id="homebrew-list" class="homebrew-list"></ul>
+    </fieldset>
+  </div>
   <div class="initiative-container">
     <ul id="initiative-list"></ul>
   </div>
-  <button id="next-turn-button" class="next-turn-button">Next Turn</button>
+  <div class="turn-controls">
+    <button id="previous-turn-button" class="turn-button" title="Previous turn">Prev</button>
+    <button id="next-turn-button" class="next-turn-button">Next Turn</button>
+    <button id="undo-turn-button" class="turn-button" title="Undo last turn change">Undo</button>
+  </div>
   <div id="turn-indicator" class="turn-indicator">
+    <div id="turn-status" class="turn-status"></div>
     <div id="turn-indicator-content"></div>
   </div>
 `;
@@ -27,31 +161,241 @@ OBR.onReady(async () => {
 
   const turnIndicator = document.querySelector("#turn-indicator");
   const turnIndicatorContent = document.querySelector("#turn-indicator-content");
+  const turnStatus = document.querySelector("#turn-status");
+  const indexStatus = document.querySelector("#index-status");
+  let activeCharacterId = null;
+  let showingStatblock = false;
+  await loadPlayerRole();
+
+  // Monsters come from every source at once, in priority order. The index
+  // is refreshed in place so everything holding it sees new monsters
+  configureMonsterFetcher(getConnectionSettings());
+  const monsterIndex = createMonsterIndex(createMonsterSources());
+  setBookPriority(monsterIndex, (await getRoomSettings()).bookPriority);
 
-  // Build monster index on load
+  // The GM's encounter prep: the encounter builder, and a bestiary to
+  // look monsters up and add them to it
+  const encounterToggle = document.querySelector("#encounter-toggle");
+  const encounterPanel = document.querySelector("#encounter-panel");
+  const encounterBuilder = setupEncounterBuilder(
+    {
+      toggleButton: encounterToggle,
+      panel: encounterPanel,
+      partySizeInput: document.querySelector("#party-size-input"),
+      partyLevelsInput: document.querySelector("#party-levels-input"),
+      monsterInput: document.querySelector("#encounter-monster-input"),
+      monsterOptions: document.querySelector("#encounter-monster-options"),
+      addButton: document.querySelector("#encounter-add-button"),
+      monsterList: document.querySelector("#encounter-monsters"),
+      summary: document.querySelector("#encounter-summary"),
+      nameInput: document.querySelector("#encounter-name-input"),
+      saveButton: document.querySelector("#save-encounter-button"),
+      savedSelect: document.querySelector("#saved-encounters-select"),
+      loadButton: document.querySelector("#load-encounter-button"),
+      deleteButton: document.querySelector("#delete-encounter-button"),
+    },
+    monsterIndex,
+    confirmMonsterMatch
+  );
+
+  const bestiaryToggle = document.querySelector("#bestiary-toggle");
+  const bestiaryPanel = document.querySelector("#bestiary-panel");
+  const bestiaryPreview = document.querySelector("#bestiary-preview");
+  const bestiary = setupBestiaryBrowser(
+    {
+      toggleButton: bestiaryToggle,
+      panel: bestiaryPanel,
+      searchInput: document.querySelector("#bestiary-search"),
+      minCrSelect: document.querySelector("#bestiary-min-cr"),
+      maxCrSelect: document.querySelector("#bestiary-max-cr"),
+      typeSelect: document.querySelector("#bestiary-type"),
+      sizeSelect: document.querySelector("#bestiary-size"),
+      environmentSelect: document.querySelector("#bestiary-environment"),
+      bookSelect: document.querySelector("#bestiary-book"),
+      statusLabel: document.querySelector("#bestiary-status"),
+      resultList: document.querySelector("#bestiary-results"),
+      preview: bestiaryPreview,
+    },
+    monsterIndex,
+    encounterBuilder.addMonster
+  );
+  initDiceHandlers(bestiaryPreview, diceRoller);
+
+  // Refresh some sources and warn about any that failed; the rest still work.
+  // Slow listings (walking the vault) show their progress under the combat bar
+  const refreshMonsters = async (sourceIds, announce) => {
+    const skipped = new Map();
+    const showProgress = (source, { foldersScanned, filesFound, skipped: skippedFolders }) => {
+      skipped.set(source.name, skippedFolders);
+      indexStatus.textContent = foldersScanned
+        ? `Indexing ${source.name}: ${foldersScanned} folders, ${filesFound} monsters found…`
+        : `Indexing ${source.name}: ${filesFound} monsters found…`;
+      indexStatus.hidden = false;
+    };
+
+    const changes = await refreshMonsterIndex(monsterIndex, sourceIds, showProgress);
+    indexStatus.hidden = true;
+    bestiary.invalidate(changes);
+    await reloadStatblocks(() => clearChangedStatblocks(changes));
+
+    for (const [sourceName, folders] of skipped) {
+      if (folders.length === 0) continue;
+      const shown = folders.slice(0, 3).join(", ");
+      const more = folders.length > 3 ? ` and ${folders.length - 3} more` : "";
+      OBR.notification.show(`${sourceName}: skipped unreadable folders ${shown}${more}`, "WARNING");
+    }
+
+    const failed = monsterIndex.sources.filter(
+      source => (!sourceIds || sourceIds.includes(source.id)) && monsterIndex.errors.has(source.id)
+    );
+    for (const source of failed) {
+      const cached = monsterIndex.listings.get(source.id)?.length ?? 0;
+      OBR.notification.show(
+        `Couldn't load monsters from ${source.name}${cached ? `, using ${cached} cached` : ""}`,
+        "WARNING"
+      );
+    }
+    if (failed.length === 0 && announce) {
+      OBR.notification.show(`Monster index rebuilt: ${monsterIndex.entries.size} monsters`, "SUCCESS");
+    }
+  };
+
+  // Tokens cache their statblock, so edited monsters are cleared from them
+  // and the current turn is redrawn with the new version
+  // @param clear - Clears the affected tokens and returns their ids
+  const reloadStatblocks = async (clear) => {
+    if (!isGM()) return;
+
+    const clearedIds = await clear();
+    if (clearedIds.length === 0) return;
+
+    OBR.notification.show(`Reloaded stat blocks for ${clearedIds.length} token${clearedIds.length === 1 ? "" : "s"}`, "INFO");
+    if (clearedIds.includes(activeCharacterId)) {
+      const [activeCharacter] = await OBR.scene.items.getItems([activeCharacterId]);
+      updateTurnIndicator(activeCharacter);
+    }
+  };
+
+  // Start from the offline cache, then pick up changes in the background
+  await restoreMonsterIndex(monsterIndex);
   console.log("Building monster index...");
-  const monsterIndex = await buildMonsterIndex();
-  console.log("Monster index ready!");
+  let refreshing = refreshMonsters(null, false).then(() => {
+    console.log("Monster index ready!");
+    refreshing = null;
+  });
+
+  // Only sources that changed are re-listed; one check at a time
+  setInterval(async () => {
+    if (!isGM() || refreshing) return;
+    refreshing = findChangedSources(monsterIndex)
+      .then(sourceIds => sourceIds.length > 0 && refreshMonsters(sourceIds, false));
+    await refreshing;
+    refreshing = null;
+  }, CHANGE_CHECK_INTERVAL);
+
+  const refreshButton = document.querySelector("#refresh-monsters-button");
+  refreshButton.addEventListener("click", async () => {
+    refreshButton.disabled = true;
+    await refreshing;
+    refreshing = refreshMonsters(null, true);
+    await refreshing;
+    refreshing = null;
+    refreshButton.disabled = false;
+  });
+
+  onConnectionSettingsChange((settings) => {
+    configureMonsterFetcher(settings);
+    refreshMonsters(["obsidian"], true);
+  });
+  onRoomHomebrewChange(() => refreshMonsters(["room"], false));
+
+  // A new book order can pick a different variant for tokens matched by name
+  onRoomSettingsChange((settings) => {
+    if (setBookPriority(monsterIndex, settings.bookPriority)) {
+      reloadStatblocks(clearUnlinkedStatblocks);
+    }
+  });
+
+  // Render the status strip (concentration, legendary counters) and show the
+  // indicator whenever there's a statblock or a counter to spend
+  const refreshTurnStatus = (items) => {
+    // Statblocks and counters are GM information
+    if (!isGM()) {
+      turnStatus.replaceChildren();
+      turnIndicatorContent.replaceChildren();
+      turnIndicator.classList.remove("visible");
+      return;
+    }
+
+    const hasStatus = renderTurnStatus(turnStatus, items, activeCharacterId);
+    turnIndicator.classList.toggle("visible", showingStatblock || hasStatus);
+
+    // Recharge markers in the rendered statblock follow the item's state
+    const activeCharacter = items.find(item => item.id === activeCharacterId);
+    syncRechargeToggles(
+      turnIndicatorContent,
+      activeCharacter && readEntry(activeCharacter)?.recharges
+    );
+  };
+
+  // Keep the status current as metadata changes during the turn
+  OBR.scene.items.onChange(refreshTurnStatus);
+
+  // Dice in whatever the indicator shows are handled by one delegated listener
+  initDiceHandlers(turnIndicatorContent, diceRoller);
+
+  // GM clicks a recharge marker to spend the ability (or mark it recharged)
+  turnIndicatorContent.addEventListener("click", (e) => {
+    const toggle = e.target.closest(".recharge-toggle");
+    if (toggle && activeCharacterId) {
+      toggleRecharge(activeCharacterId, toggle.dataset.recharge);
+    }
+  });
 
   // Function to update the turn indicator
   const updateTurnIndicator = async (activeCharacter) => {
+    activeCharacterId = activeCharacter?.id ?? null;
+
+    if (!isGM()) {
+      showingStatblock = false;
+      refreshTurnStatus([]);
+      return;
+    }
+
+    // Lair entries show only the lair actions of the creature that owns the lair
+    if (activeCharacter?.lair) {
+      turnIndicatorContent.innerHTML = renderLairActions(activeCharacter.lair.statblock);
+      showingStatblock = true;
+      refreshTurnStatus(await OBR.scene.items.getItems());
+      return;
+    }
+
     // Only show turn indicator for NPCs (not players)
-    if (activeCharacter && !isPlayer(activeCharacter)) {
-      // Check if we already have the statblock in metadata
-      const metadata = activeCharacter.metadata[`${ID}/metadata`];
+    if (activeCharacter && !isPlayer(activeCharacter, await getPlayerRegistry())) {
+      // Check if we already have the statblock cached
+      const metadata = readEntry(activeCharacter);
       let statblock = metadata?.statblock;
 
       // If not cached, fetch it
       if (statblock === undefined) {
-        statblock = await getMonsterByTokenName(activeCharacter.name, monsterIndex);
+        statblock = await getMonsterForItem(activeCharacter, monsterIndex, confirmMonsterMatch);
+        const settings = await getRoomSettings();
 
-        // Store in metadata (even if null, to avoid re-fetching)
+        // Cache it (even if null, to avoid re-fetching)
         await OBR.scene.items.updateItems([activeCharacter], (items) => {
           for (let item of items) {
-            const meta = item.metadata[`${ID}/metadata`];
+            const meta = readEntry(item);
             if (meta) {
               meta.statblock = statblock;
-              item.metadata[`${ID}/metadata`] = meta;
+              // Start tracking entries added before the statblock was known,
+              // keeping anything already tracked (e.g. HP set by hand)
+              const state = createCombatantState(statblock, diceRoller, settings);
+              for (const [key, value] of Object.entries(state)) {
+                if (!meta[key]) {
+                  meta[key] = value;
+                }
+              }
+              writeEntry(item, meta);
             }
           }
         });
@@ -60,11 +404,8 @@ OBR.onReady(async () => {
       // Display the full statblock
       if (statblock) {
         // Render the full stat block using the renderer
-        const statBlockHtml = renderStatBlock(statblock);
+        const statBlockHtml = renderStatBlock(statblock, { recharges: metadata?.recharges });
         turnIndicatorContent.innerHTML = statBlockHtml;
-
-        // Initialize dice handlers for the stat block
-        initDiceHandlers(turnIndicatorContent, diceRoller);
       } else {
         // No statblock found - just show name
         turnIndicatorContent.innerHTML = `
@@ -75,16 +416,70 @@ OBR.onReady(async () => {
         `;
       }
 
-      turnIndicator.classList.add("visible");
+      showingStatblock = true;
     } else {
-      turnIndicator.classList.remove("visible");
+      // Players' turns show no statblock, only the status strip if any
+      turnIndicatorContent.replaceChildren();
+      showingStatblock = false;
+    }
+
+    refreshTurnStatus(await OBR.scene.items.getItems());
+  };
+
+  // Tracker options are for the GM only
+  const optionsToggle = document.querySelector("#options-toggle");
+  const applyRole = async () => {
+    optionsToggle.hidden = !isGM();
+    refreshButton.hidden = !isGM();
+    bestiaryToggle.hidden = !isGM();
+    encounterToggle.hidden = !isGM();
+    if (!isGM()) {
+      document.querySelector("#tracker-options").hidden = true;
+      bestiaryPanel.hidden = true;
+      encounterPanel.hidden = true;
     }
+    refreshTurnStatus(await OBR.scene.items.getItems());
   };
+  applyRole();
+  onPlayerRoleChange(applyRole);
 
-  setupContextMenu();
+  setupContextMenu(monsterIndex, diceRoller);
+  setupTrackerOptions({
+    toggleButton: optionsToggle,
+    panel: document.querySelector("#tracker-options"),
+    rollHitDiceCheckbox: document.querySelector("#roll-hit-dice-checkbox"),
+    playerNamesInput: document.querySelector("#pc-names-input"),
+    bookPriorityInput: document.querySelector("#book-priority-input"),
+  });
+  setupConnectionOptions({
+    apiKeyInput: document.querySelector("#api-key-input"),
+    baseUrlInput: document.querySelector("#base-url-input"),
+    bestiaryPathInput: document.querySelector("#bestiary-path-input"),
+    pluginDataPathInput: document.querySelector("#plugin-data-path-input"),
+    saveButton: document.querySelector("#save-connection-button"),
+    testButton: document.querySelector("#test-connection-button"),
+    statusLabel: document.querySelector("#connection-status"),
+  });
+  setupMonsterSourceOptions(
+    {
+      bestiaryFileInput: document.querySelector("#bestiary-file-input"),
+      clearBestiaryButton: document.querySelector("#clear-bestiary-button"),
+      homebrewFileInput: document.querySelector("#homebrew-file-input"),
+      homebrewList: document.querySelector("#homebrew-list"),
+    },
+    () => refreshMonsters(["json"], true)
+  );
   setupInitiativeList(
     document.querySelector("#initiative-list"),
-    document.querySelector("#next-turn-button"),
-    updateTurnIndicator
+    {
+      nextTurnButton: document.querySelector("#next-turn-button"),
+      previousTurnButton: document.querySelector("#previous-turn-button"),
+      undoButton: document.querySelector("#undo-turn-button"),
+      combatButton: document.querySelector("#combat-button"),
+      roundLabel: document.querySelector("#round-counter"),
+      tieBreakerSelect: document.querySelector("#tie-breaker-select"),
+    },
+    updateTurnIndicator,
+    diceRoller
   );
 });
\ No newline at end of file
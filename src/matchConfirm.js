@@ -0,0 +1,68 @@
+import OBR from "@owlbear-rodeo/sdk";
+
+// Prompts are shown one at a time, in the order they were asked for
+let queue = Promise.resolve();
+
+/**
+ * Show the prompt in the popover and wait for the GM's answer
+ */
+async function showMatchPrompt(tokenName, candidates) {
+  // Lookups can start from the context menu while the popover is closed
+  await OBR.action.open();
+
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "match-confirm-backdrop";
+
+    const dialog = document.createElement("div");
+    dialog.className = "match-confirm";
+    dialog.setAttribute("role", "dialog");
+
+    const title = document.createElement("div");
+    title.className = "match-confirm-title";
+    title.textContent = `Which monster is "${tokenName}"?`;
+    dialog.appendChild(title);
+
+    const answer = (key) => {
+      backdrop.remove();
+      resolve(key);
+    };
+
+    for (const candidate of candidates) {
+      const button = document.createElement("button");
+      button.className = "match-candidate";
+
+      const name = document.createElement("span");
+      name.textContent = candidate.name;
+      const score = document.createElement("span");
+      score.className = "match-score";
+      score.textContent = `${Math.round(candidate.score * 100)}%`;
+
+      button.append(name, score);
+      button.addEventListener("click", () => answer(candidate.key));
+      dialog.appendChild(button);
+    }
+
+    const noneButton = document.createElement("button");
+    noneButton.className = "row-action";
+    noneButton.textContent = "None of these";
+    noneButton.addEventListener("click", () => answer(null));
+    dialog.appendChild(noneButton);
+
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+    dialog.querySelector("button").focus();
+  });
+}
+
+/**
+ * Ask the GM which monster an ambiguously named token is
+ * @param {string} tokenName - Token name
+ * @param {Object[]} candidates - Ranked candidates ({ key, name, score })
+ * @returns {Promise<string|null>} Chosen index key, or null for "not a monster"
+ */
+export function confirmMonsterMatch(tokenName, candidates) {
+  const result = queue.then(() => showMatchPrompt(tokenName, candidates));
+  queue = result.catch(() => {});
+  return result;
+}
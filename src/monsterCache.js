@@ -0,0 +1,108 @@
+/**
+ * monsterCache.js - IndexedDB cache for the Obsidian monster source
+ *
+ * Two stores:
+ *   indexes    - The vault index ({ homebrew, files }), keyed by vault and paths
+ *   statblocks - Parsed statblocks ({ mtime, statblock }), keyed by vault and file path
+ *
+ * Every function fails soft: if IndexedDB isn't available (private
+ * browsing, blocked storage) reads return null and writes do nothing.
+ */
+
+const ID = 'com.tutorial.initiative-tracker';
+const DB_NAME = `${ID}/monster-cache`;
+const DB_VERSION = 1;
+const INDEX_STORE = 'indexes';
+const STATBLOCK_STORE = 'statblocks';
+
+let databasePromise = null;
+
+// ============================================
+// DATABASE HELPERS
+// ============================================
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(INDEX_STORE);
+        request.result.createObjectStore(STATBLOCK_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+}
+
+function runRequest(storeName, mode, operation) {
+  return openDatabase().then(database => new Promise((resolve, reject) => {
+    const store = database.transaction(storeName, mode).objectStore(storeName);
+    const request = operation(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+async function readRecord(storeName, key) {
+  try {
+    return (await runRequest(storeName, 'readonly', store => store.get(key))) ?? null;
+  } catch (e) {
+    console.warn(`Monster cache read failed (${storeName}):`, e);
+    return null;
+  }
+}
+
+async function writeRecord(storeName, key, value) {
+  try {
+    await runRequest(storeName, 'readwrite', store => store.put(value, key));
+  } catch (e) {
+    console.warn(`Monster cache write failed (${storeName}):`, e);
+  }
+}
+
+
+// ============================================
+// VAULT INDEX
+// ============================================
+
+/**
+ * @param key - Identifies the vault and the paths it was indexed with
+ * @returns { homebrew, files, savedAt } or null if nothing is cached
+ */
+function loadCachedIndex(key) {
+  return readRecord(INDEX_STORE, key);
+}
+
+/**
+ * Maps are stored as-is; IndexedDB's structured clone keeps them intact
+ */
+function saveCachedIndex(key, vault) {
+  return writeRecord(INDEX_STORE, key, { ...vault, savedAt: Date.now() });
+}
+
+
+// ============================================
+// STATBLOCKS
+// ============================================
+
+/**
+ * @param key - Identifies the vault and the file path
+ * @returns { mtime, statblock } or null if nothing is cached
+ */
+function loadCachedStatblock(key) {
+  return readRecord(STATBLOCK_STORE, key);
+}
+
+function saveCachedStatblock(key, mtime, statblock) {
+  return writeRecord(STATBLOCK_STORE, key, { mtime, statblock });
+}
+
+
+export {
+  loadCachedIndex,
+  saveCachedIndex,
+  loadCachedStatblock,
+  saveCachedStatblock,
+};
@@ -1,38 +1,74 @@
 /**
  * Obsidian Monster Fetcher
  * 
- * Handles two monster sources:
+ * Monster source (see monsterIndex.js) backed by the Obsidian Local REST API.
+ * Reads two places in the vault:
  * 1. Plugin's data.json (homebrew monsters)
  * 2. Markdown files in bestiary folder
  * 
  * Monster names are extracted from filenames:
  * - gray-ooze-xmm.md → "gray ooze" (last word is source, removed)
  * - Single-word files are notes, not monsters (ignored)
+ * The same monster from several books (goblin-mm.md, goblin-xmm.md) is
+ * kept as one variant per book.
  * 
  * REQUIRES: npm install js-yaml
  */
 
 import YAML from 'js-yaml';
+import {
+  loadCachedIndex,
+  saveCachedIndex,
+  loadCachedStatblock,
+  saveCachedStatblock,
+} from './monsterCache';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
+// Book label for the monsters in the plugin's data.json
+const HOMEBREW_BOOK = 'Homebrew';
+
+// Requests in flight at once when walking the bestiary or re-checking notes
+const MAX_CONCURRENT_REQUESTS = 6;
+
+// Filled in from each user's connection settings (see connectionSettings.js)
 const CONFIG = {
-  API_KEY: 'b60e2939c0d713b1bf28a6fc0c00617e32b7dc23fe441f29d542e515fc91ecfd',
-  BASE_URL: 'https://127.0.0.1:27124',
-  BESTIARY_PATH: 'Mechanics/compendium/bestiary',
-  PLUGIN_DATA_PATH: '.obsidian/plugins/obsidian-5e-statblocks/data.json',
+  API_KEY: '',
+  BASE_URL: '',
+  BESTIARY_PATH: '',
+  PLUGIN_DATA_PATH: '',
 };
 
+/**
+ * Point the fetcher at a vault. Refresh the index afterwards.
+ * 
+ * @param settings - From getConnectionSettings()
+ */
+function configureMonsterFetcher(settings) {
+  CONFIG.API_KEY = settings.apiKey;
+  CONFIG.BASE_URL = settings.baseUrl.replace(/\/+$/, '');
+  CONFIG.BESTIARY_PATH = settings.bestiaryPath.replace(/^\/+|\/+$/g, '');
+  CONFIG.PLUGIN_DATA_PATH = settings.pluginDataPath.replace(/^\/+/, '');
+}
+
+/**
+ * Whether there's enough configuration to talk to Obsidian at all
+ */
+function isMonsterFetcherConfigured() {
+  return Boolean(CONFIG.API_KEY && CONFIG.BASE_URL);
+}
+
 
 // ============================================
 // API HELPER
 // ============================================
 
-async function obsidianFetch(endpoint) {
+async function obsidianFetch(endpoint, { headers = {}, ...options } = {}) {
   const response = await fetch(`${CONFIG.BASE_URL}${endpoint}`, {
-    headers: { 'Authorization': `Bearer ${CONFIG.API_KEY}` },
+    ...options,
+    headers: { 'Authorization': `Bearer ${CONFIG.API_KEY}`, ...headers },
   });
   
   if (!response.ok) {
@@ -42,6 +78,44 @@ async function obsidianFetch(endpoint) {
   return response;
 }
 
+/**
+ * Read a vault file as note+json, which includes the file's stat
+ * (mtime) alongside its content
+ * 
+ * @returns { content, stat, ... }
+ */
+async function fetchNote(filepath) {
+  const response = await obsidianFetch(`/vault/${filepath}`, {
+    headers: { 'Accept': 'application/vnd.olrapi.note+json' },
+  });
+  return response.json();
+}
+
+/**
+ * Call the REST API root with the given settings (saved or not).
+ * The root answers without auth but reports whether the key was accepted.
+ * 
+ * @param settings - Connection settings to try
+ * @returns { version, obsidianVersion, authenticated }
+ */
+async function testConnection(settings) {
+  const baseUrl = settings.baseUrl.replace(/\/+$/, '');
+  const response = await fetch(`${baseUrl}/`, {
+    headers: { 'Authorization': `Bearer ${settings.apiKey}` },
+  });
+
+  if (!response.ok) {
+    throw new Error(`Obsidian API error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return {
+    version: data.versions?.self ?? data.manifest?.version ?? 'unknown',
+    obsidianVersion: data.versions?.obsidian ?? 'unknown',
+    authenticated: Boolean(data.authenticated),
+  };
+}
+
 
 // ============================================
 // FILENAME PARSING
@@ -76,40 +150,97 @@ function filenameToMonsterName(filename) {
   return nameParts.join(' ');
 }
 
+/**
+ * The book a bestiary file comes from: the last word of its filename.
+ * 
+ * Examples:
+ *   "gray-ooze-xmm.md" → "XMM"
+ *   "goblin-mm.md" → "MM"
+ */
+function filenameToBook(filename) {
+  return filename.replace(/\.md$/, '').split('-').pop().toUpperCase();
+}
+
 
 // ============================================
-// BUILD INDEX AT SESSION START
+// BUILD VAULT INDEX
 // ============================================
 
 /**
- * Build the monster index. Call this once when session starts.
+ * Index what the vault has. Called by the source's list().
+ * 
+ * Bestiary files are found with a single search request where the Local
+ * REST API supports it, falling back to walking the folders in parallel.
  * 
+ * The search also returns each file's modification time, which is what
+ * lets a later refresh tell which monsters were edited. Walked folders
+ * have no mtimes; the source records them from notes as they're loaded.
+ * 
+ * @param onProgress - Called with { foldersScanned, filesFound, skipped }
  * Returns: {
  *   homebrew: Map<name (lowercase), statblock>,
- *   files: Map<name (lowercase), filepath>,
+ *   homebrewMtime: data.json's modification time (or null),
+ *   files: Map<name (lowercase), [{ book, filepath }]> sorted by book,
+ *   mtimes: Map<filepath, mtime> (empty if the folders were walked),
+ *   searched: whether the search endpoint worked,
+ *   skipped: folder paths that couldn't be read,
  * }
  */
-async function buildMonsterIndex() {
-  console.log('Building monster index...');
+async function buildObsidianIndex(onProgress = () => {}) {
+  if (!isMonsterFetcherConfigured()) {
+    console.log('Obsidian connection not configured, skipping vault');
+    return createEmptyVault();
+  }
+
+  console.log('Indexing Obsidian vault...');
   
-  const homebrew = await getHomebrewMonsters();
+  const { monsters: homebrew, mtime: homebrewMtime } = await getHomebrewMonsters();
   console.log(`Homebrew monsters: ${homebrew.size}`);
   
-  const files = await indexBestiaryFiles();
-  console.log(`File-based monsters: ${files.size}`);
+  let paths;
+  let mtimes = new Map();
+  let searched = true;
+  let skipped = [];
+  try {
+    mtimes = await searchStatblockFiles();
+    paths = [...mtimes.keys()];
+    onProgress({ foldersScanned: 0, filesFound: paths.length, skipped });
+  } catch (e) {
+    console.warn('Vault search unavailable, walking bestiary folders instead:', e);
+    searched = false;
+    ({ files: paths, skipped } = await listAllMarkdownFiles(CONFIG.BESTIARY_PATH, onProgress));
+  }
   
-  console.log(`Total indexed: ${homebrew.size + files.size} monsters`);
+  const files = indexBestiaryFiles(paths);
+  console.log(`File-based monsters: ${files.size}`);
   
-  return { homebrew, files };
+  return { homebrew, homebrewMtime, files, mtimes, searched, skipped };
+}
+
+function createEmptyVault() {
+  return {
+    homebrew: new Map(),
+    homebrewMtime: null,
+    files: new Map(),
+    mtimes: new Map(),
+    searched: false,
+    skipped: [],
+  };
 }
 
 /**
  * Get homebrew monsters from plugin's data.json
- * Returns Map with lowercase names as keys
+ * Returns { monsters: Map with lowercase names as keys, mtime }
  */
 async function getHomebrewMonsters() {
-  const response = await obsidianFetch(`/vault/${CONFIG.PLUGIN_DATA_PATH}`);
-  const data = await response.json();
+  return readHomebrewMonsters(await fetchNote(CONFIG.PLUGIN_DATA_PATH));
+}
+
+/**
+ * Read homebrew monsters out of an already fetched data.json note
+ */
+function readHomebrewMonsters(note) {
+  const data = JSON.parse(note.content);
   
   const monsters = new Map();
   
@@ -120,18 +251,17 @@ async function getHomebrewMonsters() {
     }
   }
   
-  return monsters;
+  return { monsters, mtime: note.stat?.mtime ?? null };
 }
 
 /**
- * Index bestiary files by scanning filenames.
+ * Index bestiary files by their filenames.
  * No file content is read - just extracts names from filenames.
- * Returns Map with lowercase names as keys.
+ * Returns Map with lowercase names as keys and every book's file as values.
  */
-async function indexBestiaryFiles() {
+function indexBestiaryFiles(files) {
   const fileIndex = new Map();
   
-  const files = await listAllMarkdownFiles(CONFIG.BESTIARY_PATH);
   console.log(`Found ${files.length} markdown files`);
   
   for (const filepath of files) {
@@ -146,20 +276,95 @@ async function indexBestiaryFiles() {
       continue;
     }
     
-    // Store with lowercase key
-    fileIndex.set(name.toLowerCase(), filepath);
+    // Store with lowercase key, one variant per book
+    const key = name.toLowerCase();
+    const variants = fileIndex.get(key) ?? [];
+    variants.push({ book: filenameToBook(filename), filepath });
+    fileIndex.set(key, variants);
+  }
+  
+  for (const variants of fileIndex.values()) {
+    variants.sort((a, b) => a.book.localeCompare(b.book));
   }
   
   return fileIndex;
 }
 
 /**
- * Recursively list all .md files in a folder
+ * Bring a searched vault's file index up to date with a newer search
+ * result: removed files are dropped, added ones indexed, and the mtimes
+ * replaced. Nothing is re-listed.
+ * 
+ * @param vault - From buildObsidianIndex(), updated in place
+ * @param mtimes - From searchStatblockFiles()
+ */
+function patchVaultFiles(vault, mtimes) {
+  const removed = [...vault.mtimes.keys()].filter(filepath => !mtimes.has(filepath));
+  const added = [...mtimes.keys()].filter(filepath => !vault.mtimes.has(filepath));
+
+  for (const filepath of removed) {
+    const key = filenameToMonsterName(filepath.split('/').pop())?.toLowerCase();
+    const variants = (vault.files.get(key) || []).filter(variant => variant.filepath !== filepath);
+    if (variants.length > 0) {
+      vault.files.set(key, variants);
+    } else {
+      vault.files.delete(key);
+    }
+  }
+
+  for (const [key, variants] of indexBestiaryFiles(added)) {
+    const merged = [...(vault.files.get(key) || []), ...variants];
+    vault.files.set(key, merged.sort((a, b) => a.book.localeCompare(b.book)));
+  }
+
+  vault.mtimes = mtimes;
+}
+
+/**
+ * Find every bestiary note containing a statblock with one JsonLogic
+ * search. The REST API evaluates the query against each file and returns
+ * the ones where it's truthy; matching files evaluate to their mtime.
+ * 
+ * @returns Map<filepath, mtime> (mtime is null if the API doesn't report it)
  */
-async function listAllMarkdownFiles(folderPath) {
+async function searchStatblockFiles() {
+  const query = {
+    if: [
+      {
+        and: [
+          { glob: [`${CONFIG.BESTIARY_PATH}/**/*.md`, { var: 'path' }] },
+          { in: ['```statblock', { var: 'content' }] },
+        ],
+      },
+      { or: [{ var: 'stat.mtime' }, true] },
+      false,
+    ],
+  };
+
+  const response = await obsidianFetch('/search/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/vnd.olrapi.jsonlogic+json' },
+    body: JSON.stringify(query),
+  });
+  const results = await response.json();
+
+  if (!Array.isArray(results)) {
+    throw new Error('Unexpected search response');
+  }
+  return new Map(results.map(result => [
+    result.filename,
+    typeof result.result === 'number' ? result.result : null,
+  ]));
+}
+
+/**
+ * List the .md files and subfolders directly inside one folder
+ */
+async function listFolder(folderPath) {
   const response = await obsidianFetch(`/vault/${folderPath}/`);
   const data = await response.json();
   
+  const subfolders = [];
   const mdFiles = [];
   
   for (const item of data.files || []) {
@@ -167,25 +372,64 @@ async function listAllMarkdownFiles(folderPath) {
     // Files don't: "goblin-mm.md", "bestiary.md"
     
     if (item.endsWith('/')) {
-      // It's a subfolder - remove trailing slash and recurse
-      const folderName = item.slice(0, -1); // "aberration/" → "aberration"
-      const subPath = `${folderPath}/${folderName}`;
-      
-      try {
-        const subFiles = await listAllMarkdownFiles(subPath);
-        mdFiles.push(...subFiles);
-      } catch (e) {
-        // Skip if can't access (e.g., "img/" folder)
-        console.log(`  Skipping folder: ${subPath}`);
-      }
+      subfolders.push(`${folderPath}/${item.slice(0, -1)}`);
     } else if (item.endsWith('.md')) {
-      // It's a markdown file
       mdFiles.push(`${folderPath}/${item}`);
     }
     // Skip non-md files (images, etc.)
   }
   
-  return mdFiles;
+  return { subfolders, mdFiles };
+}
+
+/**
+ * List all .md files under a folder, reading up to MAX_CONCURRENT_REQUESTS
+ * folders at a time. Subfolders that can't be read (e.g. "img/") are
+ * skipped and reported; the top folder failing is an error.
+ * 
+ * @param rootPath - Folder to start from
+ * @param onProgress - Called with { foldersScanned, filesFound, skipped } as folders finish
+ * @returns { files, skipped }
+ */
+function listAllMarkdownFiles(rootPath, onProgress = () => {}) {
+  const files = [];
+  const skipped = [];
+  const queue = [rootPath];
+  let active = 0;
+  let foldersScanned = 0;
+
+  return new Promise((resolve, reject) => {
+    const next = () => {
+      if (queue.length === 0 && active === 0) {
+        resolve({ files, skipped });
+        return;
+      }
+
+      while (active < MAX_CONCURRENT_REQUESTS && queue.length > 0) {
+        const folderPath = queue.shift();
+        active++;
+
+        listFolder(folderPath)
+          .then(({ subfolders, mdFiles }) => {
+            queue.push(...subfolders);
+            files.push(...mdFiles);
+          })
+          .catch((e) => {
+            if (folderPath === rootPath) throw e;
+            console.warn(`Skipping folder: ${folderPath}`, e);
+            skipped.push(folderPath);
+          })
+          .then(() => {
+            active--;
+            foldersScanned++;
+            onProgress({ foldersScanned, filesFound: files.length, skipped });
+            next();
+          }, reject);
+      }
+    };
+
+    next();
+  });
 }
 
 
@@ -193,42 +437,93 @@ async function listAllMarkdownFiles(folderPath) {
 // FETCH MONSTER DURING PLAY
 // ============================================
 
+function getStatblockCacheKey(filepath) {
+  return `${CONFIG.BASE_URL}|${filepath}`;
+}
+
 /**
- * Search for a monster by exact name (case-insensitive).
- * This is called when DM clicks on a token.
+ * Fetch a file and parse its statblock code block.
+ * Parsed statblocks are cached by path and modification time, and the
+ * cached copy is served if the vault can't be reached.
  * 
- * @param tokenName - The name of the token (e.g., "Gray Ooze")
- * @param index - The index from buildMonsterIndex()
- * @returns Parsed statblock object, or null if not found
+ * @param filepath - Vault path of the note
+ * @param knownMtime - The note's mtime from the index, if it has one; a
+ *   cached copy with the same mtime is returned without any request
+ * @returns { statblock, mtime } (mtime is null if it isn't known)
  */
-async function getMonsterByTokenName(tokenName, index) {
-  const searchKey = tokenName.toLowerCase();
-  
-  // Check homebrew first (already fully parsed)
-  if (index.homebrew.has(searchKey)) {
-    console.log(`Found "${tokenName}" in homebrew`);
-    return index.homebrew.get(searchKey);
+async function fetchAndParseStatblock(filepath, knownMtime = null) {
+  const cached = await loadCachedStatblock(getStatblockCacheKey(filepath));
+  if (cached && knownMtime !== null && cached.mtime === knownMtime) {
+    return cached;
   }
-  
-  // Check file index
-  if (index.files.has(searchKey)) {
-    console.log(`Found "${tokenName}" in files, fetching...`);
-    const filepath = index.files.get(searchKey);
-    return await fetchAndParseStatblock(filepath);
+
+  let note;
+  try {
+    note = await fetchNote(filepath);
+  } catch (e) {
+    if (cached) {
+      console.warn(`Vault unreachable, using cached ${filepath}`);
+      return cached;
+    }
+    throw e;
   }
-  
-  // Not found (probably a player character or non-monster token)
-  console.log(`"${tokenName}" is not a monster`);
-  return null;
+
+  const mtime = note.stat?.mtime ?? null;
+  if (cached && mtime !== null && cached.mtime === mtime) {
+    return cached;
+  }
+  return cacheStatblockNote(filepath, note);
 }
 
 /**
- * Fetch a file and parse its statblock code block
+ * Parse a fetched note's statblock and cache it under the note's mtime
+ * 
+ * @returns { statblock, mtime }
  */
-async function fetchAndParseStatblock(filepath) {
-  const response = await obsidianFetch(`/vault/${filepath}`);
-  const content = await response.text();
-  
+async function cacheStatblockNote(filepath, note) {
+  const mtime = note.stat?.mtime ?? null;
+  const statblock = parseStatblockNote(note.content, filepath);
+  await saveCachedStatblock(getStatblockCacheKey(filepath), mtime, statblock);
+  return { statblock, mtime };
+}
+
+/**
+ * Re-read notes to see which were edited, for vaults without search.
+ * Edited notes are parsed and cached again on the way, so their monsters
+ * load without another request.
+ * 
+ * @param known - Map<filepath, mtime> of the notes to check
+ * @returns Map<filepath, mtime> of the notes whose mtime changed
+ */
+async function findEditedNotes(known) {
+  const queue = [...known.keys()];
+  const edited = new Map();
+
+  const checkNext = async () => {
+    while (queue.length > 0) {
+      const filepath = queue.shift();
+      try {
+        const note = await fetchNote(filepath);
+        const mtime = note.stat?.mtime ?? null;
+        if (mtime !== known.get(filepath)) {
+          await cacheStatblockNote(filepath, note);
+          edited.set(filepath, mtime);
+        }
+      } catch (e) {
+        // Removed or unreadable; a manual refresh walks the folders again
+        console.warn(`Couldn't check ${filepath}:`, e);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: MAX_CONCURRENT_REQUESTS }, checkNext));
+  return edited;
+}
+
+/**
+ * Pull the statblock code block out of a note's markdown
+ */
+function parseStatblockNote(content, filepath) {
   // Extract ```statblock ... ``` block
   const match = content.match(/```statblock\n([\s\S]*?)```/);
   
@@ -256,13 +551,180 @@ function parseStatblockYaml(yamlString) {
 
 
 // ============================================
-// UTILITY: Get all monster names (for debugging/UI)
+// SOURCE PROVIDER
 // ============================================
 
-function getAllMonsterNames(index) {
-  const homebrewNames = Array.from(index.homebrew.keys());
-  const fileNames = Array.from(index.files.keys());
-  return [...homebrewNames, ...fileNames].sort();
+/**
+ * Cache key for the vault index: the same vault indexed with different
+ * paths is a different index
+ */
+function getIndexCacheKey() {
+  return `${CONFIG.BASE_URL}|${CONFIG.BESTIARY_PATH}|${CONFIG.PLUGIN_DATA_PATH}`;
+}
+
+/**
+ * Create the Obsidian monster source.
+ * Names are the keys of its own vault index; each name has a variant for
+ * data.json (if it's there) and one per book in the bestiary folder.
+ * 
+ * @returns Monster source ({ id, name, list, listCached, getVersions,
+ *   hasChanges, getVariants, get, getLink, getLinked })
+ */
+function createObsidianSource() {
+  let vault = createEmptyVault();
+  // getIndexCacheKey() for the settings the vault was indexed with
+  let vaultKey = null;
+  // Vaults without search: mtimes of the notes loaded so far, which
+  // hasChanges() re-checks. Only edits it finds go into vault.mtimes
+  let loadedMtimes = new Map();
+  // What the last hasChanges() fetched, for the list() it leads to
+  let pendingChanges = null;
+  const listNames = () => [...new Set([...vault.homebrew.keys(), ...vault.files.keys()])];
+
+  // data.json first, then one per book
+  const getVariants = (name) => {
+    const key = name.toLowerCase();
+    const variants = (vault.files.get(key) || []).map(({ book, filepath }) => ({ book, link: { path: filepath } }));
+    if (vault.homebrew.has(key)) {
+      variants.unshift({ book: HOMEBREW_BOOK, link: { key } });
+    }
+    return variants;
+  };
+
+  const getLinked = async (link) => {
+    if (link.path) {
+      const knownMtime = vault.mtimes.get(link.path) ?? loadedMtimes.get(link.path) ?? null;
+      const { statblock, mtime } = await fetchAndParseStatblock(link.path, knownMtime);
+      if (!vault.searched && mtime !== null && !loadedMtimes.has(link.path)) {
+        loadedMtimes.set(link.path, mtime);
+      }
+      return statblock;
+    }
+    return vault.homebrew.get(link.key) ?? null;
+  };
+
+  // Apply what hasChanges() found instead of indexing the vault again
+  const applyPendingChanges = () => {
+    const { homebrewNote, mtimes } = pendingChanges;
+
+    if (homebrewNote) {
+      ({ monsters: vault.homebrew, mtime: vault.homebrewMtime } = readHomebrewMonsters(homebrewNote));
+    }
+    if (vault.searched) {
+      patchVaultFiles(vault, mtimes);
+    } else {
+      for (const [filepath, mtime] of mtimes) {
+        vault.mtimes.set(filepath, mtime);
+        loadedMtimes.set(filepath, mtime);
+      }
+    }
+  };
+
+  return {
+    id: 'obsidian',
+    name: 'Obsidian vault',
+
+    async list(onProgress) {
+      // Only while the settings still point at the vault that was checked
+      if (pendingChanges && pendingChanges.indexKey === vaultKey && vaultKey === getIndexCacheKey()) {
+        applyPendingChanges();
+      } else {
+        const previous = vault;
+        const previousKey = vaultKey;
+        vault = await buildObsidianIndex(onProgress);
+        vaultKey = getIndexCacheKey();
+
+        // Walking finds no mtimes; keep the ones already learned for files still there
+        if (!vault.searched && !previous.searched && previousKey === vaultKey) {
+          const filepaths = new Set([...vault.files.values()].flat().map(variant => variant.filepath));
+          for (const [filepath, mtime] of previous.mtimes) {
+            if (filepaths.has(filepath)) {
+              vault.mtimes.set(filepath, mtime);
+            }
+          }
+        }
+        loadedMtimes = vault.searched ? new Map() : new Map(vault.mtimes);
+      }
+      pendingChanges = null;
+
+      if (isMonsterFetcherConfigured()) {
+        await saveCachedIndex(getIndexCacheKey(), vault);
+      }
+      return listNames();
+    },
+
+    // The last index saved for the current settings, or null if there isn't one
+    async listCached() {
+      if (!isMonsterFetcherConfigured()) return null;
+
+      const cached = await loadCachedIndex(getIndexCacheKey());
+      if (!cached) return null;
+
+      vault = { ...createEmptyVault(), ...cached };
+      vaultKey = getIndexCacheKey();
+      loadedMtimes = vault.searched ? new Map() : new Map(vault.mtimes);
+      pendingChanges = null;
+
+      // Indexes cached before variants were kept have one path per name
+      for (const [name, files] of vault.files) {
+        if (typeof files === 'string') {
+          vault.files.set(name, [{ book: filenameToBook(files.split('/').pop()), filepath: files }]);
+        }
+      }
+      return listNames();
+    },
+
+    // Homebrew changes with its content, files with their mtime (or path
+    // alone if the folders were walked and no edit has been seen yet)
+    getVersions() {
+      const versions = new Map();
+      for (const [name, statblock] of vault.homebrew) {
+        versions.set(name, JSON.stringify(statblock));
+      }
+      for (const [name, files] of vault.files) {
+        const fileVersions = files.map(({ filepath }) => `${filepath}@${vault.mtimes.get(filepath) ?? ''}`);
+        versions.set(name, [versions.get(name), ...fileVersions].join('|'));
+      }
+      return versions;
+    },
+
+    // Two requests: the statblock search and data.json. Vaults without
+    // search re-read the notes loaded so far instead, so edits to those
+    // are found; added and removed files need a manual refresh.
+    // The next list() reuses what was fetched here
+    async hasChanges() {
+      if (!isMonsterFetcherConfigured()) return false;
+
+      const [mtimes, note] = await Promise.all([
+        vault.searched ? searchStatblockFiles() : findEditedNotes(loadedMtimes),
+        fetchNote(CONFIG.PLUGIN_DATA_PATH),
+      ]);
+
+      const homebrewChanged = (note.stat?.mtime ?? null) !== vault.homebrewMtime;
+      const filesChanged = vault.searched
+        ? mtimes.size !== vault.mtimes.size || [...mtimes].some(([filepath, mtime]) => vault.mtimes.get(filepath) !== mtime)
+        : mtimes.size > 0;
+      if (!homebrewChanged && !filesChanged) return false;
+
+      pendingChanges = { indexKey: vaultKey, homebrewNote: homebrewChanged ? note : null, mtimes };
+      return true;
+    },
+
+    getVariants,
+
+    // The first variant; the index orders them by the GM's book priority
+    async get(name) {
+      const [variant] = getVariants(name);
+      return variant ? await getLinked(variant.link) : null;
+    },
+
+    // Bestiary files are linked by vault path, data.json monsters by key
+    getLink(name) {
+      return getVariants(name)[0]?.link ?? null;
+    },
+
+    getLinked,
+  };
 }
 
 
@@ -272,8 +734,9 @@ function getAllMonsterNames(index) {
 
 export {
   CONFIG,
-  buildMonsterIndex,
-  getMonsterByTokenName,
-  getAllMonsterNames,
+  configureMonsterFetcher,
+  testConnection,
+  createObsidianSource,
   filenameToMonsterName,
+  filenameToBook,
 };
\ No newline at end of file
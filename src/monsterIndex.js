@@ -0,0 +1,399 @@
+/**
+ * monsterIndex.js - Merged index over several monster sources
+ *
+ * A monster source is any object with:
+ *   id          - Stable identifier ("obsidian", "json", "room")
+ *   name        - Label for messages
+ *   list(onProgress) - Promise of every monster name it can provide;
+ *                 may report progress for slow listings
+ *   get(name)   - Promise of the statblock for a listed name, or null
+ *   listCached() - Optional. Promise of the names from its offline cache,
+ *                 or null if it has none; used at startup and when list() fails
+ *   getLink(name) - A stable reference to a listed monster ({ path } for
+ *                 vault files, { key } for homebrew), or null
+ *   getLinked(link) - Promise of the statblock a reference points at, or null
+ *   getVersions() - Optional. Map of lowercase name → a value that changes
+ *                 whenever that monster does (a file's mtime, say); lets a
+ *                 refresh report which monsters were edited
+ *   hasChanges() - Optional. Promise of whether list() would find anything
+ *                 new, for sources that can check cheaply enough to poll.
+ *                 The list() that follows may reuse what it fetched
+ *   getVariants(name) - Optional. The book variants of a listed monster
+ *                 ([{ book, link }], each loaded with getLinked(link)).
+ *                 Without it a source has one variant, from its `book`
+ *
+ * Sources are given in priority order: when several list the same name,
+ * the earliest one is asked first and later ones are fallbacks. Variants
+ * from the books in index.bookPriority come before all others, in that
+ * order, so "XMM, MM, Homebrew" prefers the 2024 Monster Manual anywhere.
+ */
+
+import { matchMonsterName } from './nameMatching';
+import { resolveStatblockInheritance } from './statblockInheritance';
+
+// ============================================
+// BUILDING
+// ============================================
+
+/**
+ * Create an empty index over the given sources. Fill it with refreshMonsterIndex().
+ * The index is updated in place, so anything holding it sees refreshes.
+ * @param {object[]} sources - Monster sources in priority order
+ * @returns {object} Index ({ sources, listings, errors, entries, versions, bookPriority })
+ */
+function createMonsterIndex(sources) {
+  return {
+    sources,
+    // sourceId → names from its last successful list() (or its cache)
+    listings: new Map(),
+    // sourceId → error from its last list(), if it failed
+    errors: new Map(),
+    // lowercase name → { name, sourceIds } in priority order
+    entries: new Map(),
+    // sourceId → getVersions() from its last listing
+    versions: new Map(),
+    // Uppercase book names, preferred first
+    bookPriority: [],
+  };
+}
+
+/**
+ * Set which books' variants are preferred, e.g. ["XMM", "MM", "Homebrew"]
+ * @param {object} index - From createMonsterIndex()
+ * @param {string[]} books - Book names, preferred first
+ * @returns {boolean} True if the order changed
+ */
+function setBookPriority(index, books) {
+  const previous = index.bookPriority;
+  index.bookPriority = books.map(book => book.trim().toUpperCase()).filter(Boolean);
+  return index.bookPriority.join('\n') !== previous.join('\n');
+}
+
+/**
+ * Record a source's versions and return the names whose version differs
+ * from the last recorded one (added and removed names included). Nothing
+ * counts as changed the first time a source is seen.
+ */
+function updateVersions(index, source) {
+  if (!source.getVersions) return [];
+
+  const previous = index.versions.get(source.id);
+  const current = source.getVersions();
+  index.versions.set(source.id, current);
+  if (!previous) return [];
+
+  const names = new Set([...previous.keys(), ...current.keys()]);
+  return [...names].filter(name => previous.get(name) !== current.get(name));
+}
+
+function mergeListings(index) {
+  index.entries.clear();
+  for (const source of index.sources) {
+    for (const name of index.listings.get(source.id) || []) {
+      const key = name.toLowerCase();
+      const entry = index.entries.get(key) ?? { name, sourceIds: [] };
+      if (!entry.sourceIds.includes(source.id)) {
+        entry.sourceIds.push(source.id);
+      }
+      index.entries.set(key, entry);
+    }
+  }
+}
+
+/**
+ * Fill the index from every source's offline cache. Fast enough to await
+ * at startup; follow it with refreshMonsterIndex() in the background.
+ * @param {object} index - From createMonsterIndex()
+ * @returns {Promise<object>} The same index
+ */
+async function restoreMonsterIndex(index) {
+  await Promise.all(index.sources.map(async (source) => {
+    const names = await source.listCached?.();
+    if (names) {
+      index.listings.set(source.id, names);
+      updateVersions(index, source);
+      console.log(`${source.name}: ${names.length} cached monsters`);
+    }
+  }));
+
+  mergeListings(index);
+  return index;
+}
+
+/**
+ * Re-list some or all sources, merging each one in as soon as it answers.
+ * A source that fails is recorded in index.errors and falls back to its
+ * cache (or keeps its previous listing if it has no cache); it never stops
+ * the other sources from loading.
+ * @param {object} index - From createMonsterIndex()
+ * @param {string[]} [sourceIds] - Sources to refresh (default: all)
+ * @param {Function} [onProgress] - (source, progress) for sources that report it
+ * @returns {Promise<object[]>} Monsters that changed since the last
+ *   listing, as [{ sourceId, key }] (see getVersions)
+ */
+async function refreshMonsterIndex(index, sourceIds = null, onProgress = () => {}) {
+  const targets = index.sources.filter(source => !sourceIds || sourceIds.includes(source.id));
+  const changes = [];
+
+  await Promise.all(targets.map(async (source) => {
+    try {
+      const names = await source.list(progress => onProgress(source, progress));
+      index.listings.set(source.id, names);
+      index.errors.delete(source.id);
+      for (const key of updateVersions(index, source)) {
+        changes.push({ sourceId: source.id, key });
+      }
+      console.log(`${source.name}: ${names.length} monsters`);
+    } catch (e) {
+      index.errors.set(source.id, e);
+      console.error(`${source.name} failed to load:`, e);
+      if (source.listCached) {
+        index.listings.set(source.id, (await source.listCached()) ?? []);
+      }
+    }
+    mergeListings(index);
+  }));
+
+  console.log(`Total indexed: ${index.entries.size} monsters`);
+  if (changes.length > 0) {
+    console.log(`Changed monsters: ${changes.map(change => change.key).join(', ')}`);
+  }
+  return changes;
+}
+
+/**
+ * Ask the sources that can check cheaply whether they have changed
+ * @param {object} index - From createMonsterIndex()
+ * @returns {Promise<string[]>} Ids of sources worth refreshing
+ */
+async function findChangedSources(index) {
+  const changed = await Promise.all(index.sources.map(async (source) => {
+    try {
+      return Boolean(await source.hasChanges?.());
+    } catch (e) {
+      // Unreachable now; the next check (or a manual refresh) will tell
+      console.warn(`${source.name} change check failed:`, e);
+      return false;
+    }
+  }));
+
+  return index.sources.filter((_, i) => changed[i]).map(source => source.id);
+}
+
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Work out which indexed monster a token is. Numbered copies, plurals and
+ * spelling variants match outright; fuzzy matches need confirmMatch.
+ *
+ * @param {string} tokenName - The name of the token
+ * @param {object} index - From createMonsterIndex()
+ * @param {Function} [confirmMatch] - Asked to pick from ranked candidates
+ *   ({ key, name, score }); resolves to a key or null
+ * @returns {Promise<string|null>} Index key, or null if no monster matches
+ */
+async function findMonsterKey(tokenName, index, confirmMatch = null) {
+  const { match, candidates } = matchMonsterName(tokenName, [...index.entries.keys()]);
+  if (match) return match;
+  if (candidates.length === 0 || !confirmMatch) return null;
+
+  return confirmMatch(tokenName, candidates.map(candidate => ({
+    key: candidate.name,
+    name: index.entries.get(candidate.name).name,
+    score: candidate.score,
+  })));
+}
+
+// Names one variant of a monster in one source, e.g. "obsidian:goblin:MM"
+const entryRef = (sourceId, key, book) => `${sourceId}:${key}:${book}`;
+
+const findSource = (sourceId, index) => index.sources.find(candidate => candidate.id === sourceId);
+
+/**
+ * Every variant of an indexed monster, the GM's preferred books first and
+ * otherwise in source order
+ *
+ * @param {string} key - Index key
+ * @param {object} index - From createMonsterIndex()
+ * @returns {object[]} [{ sourceId, book, link }]; link is null for sources
+ *   without links, which load the variant by name
+ */
+function getMonsterVariants(key, index) {
+  const entry = index.entries.get(key);
+  const variants = (entry?.sourceIds || []).flatMap((sourceId) => {
+    const source = findSource(sourceId, index);
+    if (source.getVariants) {
+      return source.getVariants(entry.name).map(variant => ({ sourceId, ...variant }));
+    }
+    return [{ sourceId, book: source.book ?? source.name, link: source.getLink?.(entry.name) ?? null }];
+  });
+
+  const rank = (variant) => {
+    const position = index.bookPriority.indexOf(variant.book.toUpperCase());
+    return position === -1 ? index.bookPriority.length : position;
+  };
+  // Array sort is stable, so unranked books keep their source order
+  return variants.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Load one variant's raw statblock
+ */
+async function loadVariant(variant, name, index) {
+  const source = findSource(variant.sourceId, index);
+  return variant.link ? await source.getLinked(variant.link) : await source.get(name);
+}
+
+/**
+ * Label a resolved statblock with the book it came from, for the header
+ */
+const withBook = (statblock, book) => (statblock && book ? { ...statblock, source: book } : statblock);
+
+/**
+ * Every statblock a `monster:`/`extends:` name could mean, in priority order.
+ * Only certain matches count; inheritance never asks the GM.
+ */
+function findParentCandidates(name, index) {
+  const { match } = matchMonsterName(name, [...index.entries.keys()]);
+  const entry = match ? index.entries.get(match) : null;
+
+  return (entry ? getMonsterVariants(match, index) : []).map(variant => ({
+    ref: entryRef(variant.sourceId, match, variant.book),
+    async load() {
+      try {
+        return await loadVariant(variant, entry.name, index);
+      } catch (e) {
+        console.error(`${findSource(variant.sourceId, index).name} failed to load parent "${entry.name}" (${variant.book}):`, e);
+        return null;
+      }
+    },
+  }));
+}
+
+/**
+ * Flatten a statblock's inheritance chain using the index
+ */
+function resolveInheritance(statblock, ref, index) {
+  return resolveStatblockInheritance(statblock, name => findParentCandidates(name, index), [ref]);
+}
+
+/**
+ * Load one variant of an indexed monster, fully resolved and with
+ * `source` set to its book
+ *
+ * @param {string} key - Index key
+ * @param {object} variant - One of getMonsterVariants(key, index)
+ * @param {object} index - From createMonsterIndex()
+ * @returns {Promise<object|null>} Statblock, or null if the source no longer has it
+ */
+async function loadMonsterVariant(key, variant, index) {
+  const statblock = await loadVariant(variant, index.entries.get(key)?.name ?? key, index);
+  if (!statblock) return null;
+
+  const resolved = await resolveInheritance(statblock, entryRef(variant.sourceId, key, variant.book), index);
+  return withBook(resolved, variant.book);
+}
+
+/**
+ * Search for a monster by token name (see findMonsterKey for matching).
+ * Its variants are tried in priority order (see getMonsterVariants), and
+ * statblocks based on other monsters come back fully resolved, with
+ * `source` set to the book that was used.
+ *
+ * @param {string} tokenName - The name of the token (e.g., "Gray Ooze 2")
+ * @param {object} index - From createMonsterIndex()
+ * @param {Function} [confirmMatch] - Lets the GM settle ambiguous names
+ * @returns {Promise<object|null>} Parsed statblock, or null if not found
+ * @throws {Error} If every source listing the monster failed to load it,
+ *   so callers can retry later instead of caching "not a monster"
+ */
+async function getMonsterByTokenName(tokenName, index, confirmMatch = null) {
+  const key = await findMonsterKey(tokenName, index, confirmMatch);
+  const entry = key ? index.entries.get(key) : null;
+  if (!entry) {
+    // Probably a player character or non-monster token
+    console.log(`"${tokenName}" is not a monster`);
+    return null;
+  }
+
+  let lastError = null;
+  for (const variant of getMonsterVariants(key, index)) {
+    const source = findSource(variant.sourceId, index);
+    try {
+      const statblock = await loadMonsterVariant(key, variant, index);
+      if (statblock) {
+        console.log(`Found "${tokenName}" in ${source.name} (${variant.book})`);
+        return statblock;
+      }
+    } catch (e) {
+      console.error(`${source.name} failed to load "${entry.name}" (${variant.book}):`, e);
+      lastError = e;
+    }
+  }
+
+  if (lastError) {
+    throw lastError;
+  }
+  return null;
+}
+
+/**
+ * Make a stable reference to an indexed monster to store on a token:
+ * the given variant, or the highest priority one that can be linked
+ *
+ * @param {string} key - Index key (from getAllMonsterNames)
+ * @param {object} index - From createMonsterIndex()
+ * @param {object} [variant] - One of getMonsterVariants(key, index)
+ * @returns {object|null} { sourceId, name, book, path } or { sourceId, name, book, key }
+ */
+function createMonsterLink(key, index, variant = null) {
+  const entry = index.entries.get(key);
+  if (!entry) return null;
+
+  const chosen = variant ?? getMonsterVariants(key, index).find(candidate => candidate.link);
+  if (!chosen?.link) return null;
+  return { sourceId: chosen.sourceId, name: entry.name, book: chosen.book, ...chosen.link };
+}
+
+/**
+ * Load the statblock a stored link points at
+ *
+ * @param {object} link - From createMonsterLink()
+ * @param {object} index - From createMonsterIndex()
+ * @returns {Promise<object|null>} Parsed statblock, or null if the source is gone
+ */
+async function getLinkedMonster(link, index) {
+  const source = findSource(link.sourceId, index);
+  if (!source?.getLinked) return null;
+
+  const statblock = await source.getLinked(link);
+  if (!statblock) return null;
+  const resolved = await resolveInheritance(statblock, entryRef(link.sourceId, link.name.toLowerCase(), link.book), index);
+  return withBook(resolved, link.book);
+}
+
+/**
+ * Every indexed monster name (lowercase), sorted
+ */
+function getAllMonsterNames(index) {
+  return [...index.entries.keys()].sort();
+}
+
+
+export {
+  createMonsterIndex,
+  setBookPriority,
+  restoreMonsterIndex,
+  refreshMonsterIndex,
+  findChangedSources,
+  findMonsterKey,
+  getMonsterByTokenName,
+  getMonsterVariants,
+  loadMonsterVariant,
+  createMonsterLink,
+  getLinkedMonster,
+  getAllMonsterNames,
+};
@@ -0,0 +1,93 @@
+import OBR from "@owlbear-rodeo/sdk";
+import {
+  readCreatureList,
+  saveUploadedBestiary,
+  clearUploadedBestiary,
+  hasUploadedBestiary,
+} from "./jsonSource";
+import {
+  getRoomHomebrew,
+  addRoomHomebrew,
+  removeRoomHomebrew,
+  onRoomHomebrewChange,
+} from "./roomHomebrew";
+
+/**
+ * Wire up the monster source controls in the options panel
+ * @param {Object} elements - Panel elements
+ * @param {HTMLInputElement} elements.bestiaryFileInput - Uploads a Fantasy Statblocks JSON for this browser
+ * @param {HTMLButtonElement} elements.clearBestiaryButton - Forgets the uploaded JSON
+ * @param {HTMLInputElement} elements.homebrewFileInput - Adds creatures from a JSON file to the room
+ * @param {HTMLElement} elements.homebrewList - Lists the room's homebrew creatures
+ * @param {Function} onBestiaryChange - Called after the uploaded JSON changes
+ */
+export function setupMonsterSourceOptions(elements, onBestiaryChange) {
+  const { bestiaryFileInput, clearBestiaryButton, homebrewFileInput, homebrewList } = elements;
+
+  const renderBestiaryControls = () => {
+    clearBestiaryButton.disabled = !hasUploadedBestiary();
+  };
+
+  const renderHomebrewList = (homebrew) => {
+    const rows = Object.entries(homebrew).map(([key, statblock]) => {
+      const row = document.createElement("li");
+      row.className = "homebrew-row";
+
+      const name = document.createElement("span");
+      name.textContent = statblock.name;
+
+      const removeButton = document.createElement("button");
+      removeButton.className = "row-action";
+      removeButton.textContent = "×";
+      removeButton.title = `Remove ${statblock.name} from the room`;
+      removeButton.addEventListener("click", () => removeRoomHomebrew(key));
+
+      row.append(name, removeButton);
+      return row;
+    });
+    homebrewList.replaceChildren(...rows);
+  };
+
+  bestiaryFileInput.addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    try {
+      const count = saveUploadedBestiary(await file.text());
+      OBR.notification.show(`Loaded ${count} creatures from ${file.name}`, "SUCCESS");
+      renderBestiaryControls();
+      onBestiaryChange();
+    } catch (error) {
+      OBR.notification.show(`Couldn't load ${file.name}: ${error.message}`, "ERROR");
+    }
+    bestiaryFileInput.value = "";
+  });
+
+  clearBestiaryButton.addEventListener("click", () => {
+    clearUploadedBestiary();
+    renderBestiaryControls();
+    onBestiaryChange();
+  });
+
+  homebrewFileInput.addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    try {
+      const creatures = readCreatureList(JSON.parse(await file.text()));
+      if (creatures.size === 0) {
+        throw new Error("No creatures found in file");
+      }
+      await addRoomHomebrew(creatures);
+      OBR.notification.show(`Added ${creatures.size} creatures to the room`, "SUCCESS");
+    } catch (error) {
+      // Room metadata is limited in size, so big files are rejected here
+      OBR.notification.show(`Couldn't add ${file.name}: ${error.message}`, "ERROR");
+    }
+    homebrewFileInput.value = "";
+  });
+
+  renderBestiaryControls();
+  getRoomHomebrew().then(renderHomebrewList);
+  onRoomHomebrewChange(renderHomebrewList);
+}
@@ -0,0 +1,15 @@
+import { createObsidianSource } from "./monsterFetcher";
+import { createJsonSource } from "./jsonSource";
+import { createRoomHomebrewSource } from "./roomHomebrew";
+
+/**
+ * The monster sources every index is built from, in priority order
+ * @returns {Object[]} Monster sources (see monsterIndex.js)
+ */
+export function createMonsterSources() {
+  return [
+    createObsidianSource(),
+    createJsonSource(),
+    createRoomHomebrewSource(),
+  ];
+}
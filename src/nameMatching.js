@@ -0,0 +1,154 @@
+/**
+ * Common spelling differences between token names and bestiary names
+ */
+const SPELLING_VARIANTS = {
+  grey: "gray",
+  armour: "armor",
+  colour: "color",
+  sabre: "saber",
+};
+
+// Fuzzy candidates below this similarity aren't worth offering
+const MIN_CANDIDATE_SCORE = 0.6;
+const MAX_CANDIDATES = 5;
+
+/**
+ * Lowercase a name and reduce it to plain words, with British spellings
+ * mapped to the ones the bestiary uses
+ * @param {string} name - Token or monster name
+ * @returns {string} Normalized name, e.g. "Grey Ooze" → "gray ooze"
+ */
+export function normalizeMonsterName(name) {
+  return name
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .map(word => SPELLING_VARIANTS[word] ?? word)
+    .join(" ");
+}
+
+/**
+ * Remove the markers GMs add to tell copies of a monster apart:
+ * "Goblin 2", "Goblin (A)", "Gray Ooze #3", "Orc [boss]", "Wolf - 4", "Bandit B"
+ * @param {string} tokenName - Token name
+ * @returns {string} Name without markers
+ */
+export function stripTokenMarkers(tokenName) {
+  const markers = [
+    /\s*#\s*\d+$/,
+    /\s*\([^()]*\)$/,
+    /\s*\[[^[\]]*\]$/,
+    /\s*[-–]\s*\d+$/,
+    /\s+\d+$/,
+    // A lone trailing letter, but never the whole name
+    /(?<=\S)\s+[A-Za-z]$/,
+  ];
+
+  let name = tokenName.trim();
+  let previous;
+  do {
+    previous = name;
+    for (const marker of markers) {
+      name = name.replace(marker, "").trim();
+    }
+  } while (name !== previous && name.length > 0);
+
+  return name || tokenName.trim();
+}
+
+/**
+ * Possible singular forms of an English word, for the plural token names
+ * GMs use for groups ("Goblins", "Wolves", "Harpies"). Endings like "ies"
+ * can't be undone one way ("Harpies" → "harpy", "Zombies" → "zombie"), so
+ * every likely stem is offered for the caller to check against the index
+ * @param {string} word - Lowercase word
+ * @returns {string[]} Singular forms, most likely first (the word itself if none)
+ */
+export function singularize(word) {
+  if (/ies$/.test(word) && word.length > 4) return [word.replace(/ies$/, "y"), word.replace(/ies$/, "ie")];
+  if (/ves$/.test(word)) return [word.replace(/ves$/, "f"), word.replace(/ves$/, "fe"), word.slice(0, -1)];
+  if (/(ch|sh|ss|x|z)es$/.test(word)) return [word.replace(/es$/, "")];
+  if (/[^su]s$/.test(word)) return [word.slice(0, -1)];
+  return [word];
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How alike two normalized names are, from 0 to 1. Names where one is the
+ * other plus extra words ("goblin archer" / "goblin") score well even when
+ * the edit distance is large
+ */
+function similarity(a, b) {
+  const distanceScore = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const containsWords = ` ${longer} `.includes(` ${shorter} `);
+  const containsScore = containsWords ? 0.7 + 0.25 * (shorter.length / longer.length) : 0;
+
+  return Math.max(distanceScore, containsScore);
+}
+
+/**
+ * Match a token name against monster names
+ *
+ * Exact matches after normalizing ("Goblin 2" → "goblin", "Grey Ooze" →
+ * "gray ooze", "Goblins" → "goblin") are certain. Anything else comes back
+ * as ranked fuzzy candidates for the GM to confirm.
+ *
+ * @param {string} tokenName - Token name
+ * @param {string[]} monsterNames - Names to match against
+ * @returns {Object} { match, candidates } — match is a name from monsterNames
+ *   or null; candidates are [{ name, score }] best first
+ */
+export function matchMonsterName(tokenName, monsterNames) {
+  // Try the full name first in case the "marker" is part of the monster's name
+  const full = normalizeMonsterName(tokenName);
+  const base = normalizeMonsterName(stripTokenMarkers(tokenName));
+  const words = base.split(" ");
+  const singulars = singularize(words[words.length - 1])
+    .map(word => [...words.slice(0, -1), word].join(" "));
+
+  const normalized = monsterNames.map(name => ({ name, key: normalizeMonsterName(name) }));
+
+  for (const key of [full, base, ...singulars]) {
+    const exact = normalized.find(monster => monster.key === key);
+    if (exact) {
+      return { match: exact.name, candidates: [] };
+    }
+  }
+
+  if (!base) {
+    return { match: null, candidates: [] };
+  }
+
+  const candidates = normalized
+    .map(monster => ({
+      name: monster.name,
+      score: Math.max(similarity(base, monster.key), ...singulars.map(singular => similarity(singular, monster.key))),
+    }))
+    .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, MAX_CANDIDATES);
+
+  return { match: null, candidates };
+}
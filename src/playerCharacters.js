@@ -0,0 +1,89 @@
+import OBR from "@owlbear-rodeo/sdk";
+import { getRoomSettings, onRoomSettingsChange } from "./roomSettings";
+
+const ID = "com.tutorial.initiative-tracker";
+
+/**
+ * Item metadata key for the "Player Character" flag set from the context menu
+ */
+export const PLAYER_CHARACTER_KEY = `${ID}/playerCharacter`;
+
+const normalizeName = (name) => name.trim().toLowerCase();
+
+/**
+ * Build the lookup isPlayer() checks tokens against
+ * @param {Object[]} players - Party members ({ id, role })
+ * @param {Object} settings - Room settings from getRoomSettings()
+ * @returns {Object} { playerIds, names }
+ */
+export function createPlayerRegistry(players, settings) {
+  return {
+    playerIds: new Set(players.filter(player => player.role === "PLAYER").map(player => player.id)),
+    names: new Set(settings.playerCharacterNames.map(normalizeName).filter(Boolean)),
+  };
+}
+
+/**
+ * Check if a character is a player character. A token counts as a PC if it
+ * was flagged from the context menu, was created by a player (rather than
+ * the GM), or its name is on the room's player character list.
+ * Only connected players are known, so a token created by someone who has
+ * left the room needs the flag or the name list instead
+ * @param {Object} character - The character item from OBR
+ * @param {Object|null} registry - From getPlayerRegistry()
+ * @returns {boolean} True if the character is a player, false otherwise
+ */
+export function isPlayer(character, registry) {
+  if (!character) return false;
+  if (character.metadata?.[PLAYER_CHARACTER_KEY] === true) return true;
+  if (!registry) return false;
+
+  return registry.playerIds.has(character.createdUserId)
+    || registry.names.has(normalizeName(character.name || ""));
+}
+
+/**
+ * Fetch everything needed to tell PCs from monsters
+ * @returns {Promise<Object>} Player registry
+ */
+export async function getPlayerRegistry() {
+  const [players, id, role, settings] = await Promise.all([
+    OBR.party.getPlayers(),
+    OBR.player.getId(),
+    OBR.player.getRole(),
+    getRoomSettings(),
+  ]);
+  return createPlayerRegistry([...players, { id, role }], settings);
+}
+
+/**
+ * Subscribe to changes that can turn a token into (or out of) a PC:
+ * players joining, leaving or changing role, and edits to the name list
+ * @param {Function} callback - Called with the new player registry
+ * @returns {Function} Unsubscribe function
+ */
+export function onPlayerRegistryChange(callback) {
+  const refresh = () => getPlayerRegistry().then(callback);
+  const unsubscribers = [
+    OBR.party.onChange(refresh),
+    onRoomSettingsChange(refresh),
+  ];
+  return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * Set or clear the explicit "Player Character" flag on tokens
+ * @param {Object[]} items - Tokens to update
+ * @param {boolean} playerCharacter - True to mark them as PCs
+ */
+export async function setPlayerCharacterFlag(items, playerCharacter) {
+  await OBR.scene.items.updateItems(items, (itemsToUpdate) => {
+    for (let item of itemsToUpdate) {
+      if (playerCharacter) {
+        item.metadata[PLAYER_CHARACTER_KEY] = true;
+      } else {
+        delete item.metadata[PLAYER_CHARACTER_KEY];
+      }
+    }
+  });
+}
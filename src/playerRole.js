@@ -0,0 +1,55 @@
+import OBR from "@owlbear-rodeo/sdk";
+
+/**
+ * The local player's id and role. Everything that differs between the GM
+ * and player views reads it from here so the views switch together.
+ * Until it loads, everyone gets the read-only player view
+ */
+let currentPlayer = { id: null, role: "PLAYER" };
+let loading = null;
+const listeners = new Set();
+
+const setCurrentPlayer = (player) => {
+  if (player.id === currentPlayer.id && player.role === currentPlayer.role) return;
+  currentPlayer = player;
+  for (const listener of listeners) {
+    listener(currentPlayer);
+  }
+};
+
+/**
+ * Load the local player and follow role changes; safe to call more than once
+ * @returns {Promise<Object>} { id, role }
+ */
+export function loadPlayerRole() {
+  loading ??= Promise.all([OBR.player.getId(), OBR.player.getRole()]).then(([id, role]) => {
+    setCurrentPlayer({ id, role });
+    OBR.player.onChange((player) => setCurrentPlayer({ id: player.id, role: player.role }));
+    return currentPlayer;
+  });
+  return loading;
+}
+
+/**
+ * @returns {boolean} True if the local player is a GM
+ */
+export function isGM() {
+  return currentPlayer.role === "GM";
+}
+
+/**
+ * @returns {string|null} The local player's id, once loaded
+ */
+export function getPlayerId() {
+  return currentPlayer.id;
+}
+
+/**
+ * Subscribe to the local player's role (or id) changing
+ * @param {Function} callback - Called with { id, role }
+ * @returns {Function} Unsubscribe function
+ */
+export function onPlayerRoleChange(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
@@ -0,0 +1,134 @@
+/**
+ * recharge.js - Recharge ability tracking
+ * Stored per combatant as metadata.recharges = { [abilityName]: { min, available } }
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { parseRechargeNotation } from "./renderer";
+import { readEntry, writeEntry } from "./entryMetadata";
+
+/**
+ * Find every recharge ability in a statblock
+ * @param {object} statblock - Creature data
+ * @returns {object|null} Recharge state by ability name, or null if there are none
+ */
+function createRecharges(statblock) {
+  if (!statblock) return null;
+
+  const sections = [
+    statblock.traits,
+    statblock.actions,
+    statblock.bonus_actions,
+    statblock.reactions,
+    statblock.legendary_actions,
+  ];
+
+  const recharges = {};
+  for (const ability of sections.filter(Array.isArray).flat()) {
+    const min = parseRechargeNotation(ability.name);
+    if (min !== null) {
+      recharges[ability.name] = { min, available: true };
+    }
+  }
+
+  return Object.keys(recharges).length > 0 ? recharges : null;
+}
+
+/**
+ * Flip a recharge ability between available and spent
+ * @param {string} itemId - Item id
+ * @param {string} name - Ability name
+ */
+async function toggleRecharge(itemId, name) {
+  await OBR.scene.items.updateItems([itemId], (items) => {
+    for (let item of items) {
+      const metadata = readEntry(item);
+      const recharge = metadata?.recharges?.[name];
+      if (recharge) {
+        recharge.available = !recharge.available;
+        writeEntry(item, metadata);
+      }
+    }
+  });
+}
+
+/**
+ * Roll a d6 for every spent recharge ability at the start of a creature's turn
+ * @param {string} itemId - Item id
+ * @param {DiceRoller} roller - DiceRoller instance
+ * @returns {Promise<object[]>} Rolls made ({ name, roll, recharged })
+ */
+async function rollRecharges(itemId, roller) {
+  const [item] = await OBR.scene.items.getItems([itemId]);
+  const recharges = item && readEntry(item)?.recharges;
+  if (!recharges) return [];
+
+  const results = [];
+  for (const [name, recharge] of Object.entries(recharges)) {
+    if (!recharge.available) {
+      const roll = roller.roll('1d6').total;
+      results.push({ name, roll, recharged: roll >= recharge.min });
+    }
+  }
+
+  const recharged = results.filter(result => result.recharged).map(result => result.name);
+  if (recharged.length > 0) {
+    await OBR.scene.items.updateItems([itemId], (items) => {
+      for (let item of items) {
+        const metadata = readEntry(item);
+        if (!metadata?.recharges) continue;
+        for (const name of recharged) {
+          if (metadata.recharges[name]) {
+            metadata.recharges[name].available = true;
+          }
+        }
+        writeEntry(item, metadata);
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Mark recharge abilities spent again, undoing a recharge roll
+ * @param {string} itemId - Item id
+ * @param {string[]} names - Ability names
+ */
+async function spendRecharges(itemId, names) {
+  await OBR.scene.items.updateItems([itemId], (items) => {
+    for (let item of items) {
+      const metadata = readEntry(item);
+      if (!metadata?.recharges) continue;
+      for (const name of names) {
+        if (metadata.recharges[name]) {
+          metadata.recharges[name].available = false;
+        }
+      }
+      writeEntry(item, metadata);
+    }
+  });
+}
+
+/**
+ * Update rendered recharge toggles to match the current state
+ * @param {HTMLElement} container - Element containing a rendered statblock
+ * @param {object|null} recharges - Recharge state by ability name
+ */
+function syncRechargeToggles(container, recharges) {
+  for (const toggle of container.querySelectorAll('.recharge-toggle')) {
+    const available = recharges?.[toggle.dataset.recharge]?.available ?? true;
+    toggle.classList.toggle('available', available);
+    toggle.classList.toggle('spent', !available);
+    toggle.textContent = available ? 'Available' : 'Spent';
+    toggle.title = available ? 'Click to spend' : 'Click to mark recharged';
+  }
+}
+
+export {
+  createRecharges,
+  toggleRecharge,
+  rollRecharges,
+  spendRecharges,
+  syncRechargeToggles,
+};
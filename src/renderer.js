@@ -120,6 +120,16 @@ function formatTypeString(creature) {
   return parts.join(' ').toLowerCase().replace(/^\w/, c => c.toUpperCase());
 }
 
+/**
+ * Format the book(s) a creature comes from
+ * @param {string|array} source - Book name or list of book names
+ * @returns {string} Formatted source, or empty string if none
+ */
+function formatSource(source) {
+  if (!source) return '';
+  return [].concat(source).filter(Boolean).join(', ');
+}
+
 /**
  * Format saving throws from creature data
  * @param {array} saves - Array of save objects like [{dexterity: 5}]
@@ -169,6 +179,26 @@ function ensureSentence(text) {
   return trimmed;
 }
 
+/**
+ * Detect recharge notation in an ability name, e.g. "Fire Breath (Recharge 5–6)"
+ * @param {string} name - Ability name
+ * @returns {number|null} Lowest d6 roll that recharges the ability, or null
+ */
+function parseRechargeNotation(name) {
+  if (!name) return null;
+  const match = String(name).match(/\(Recharge (\d)(?:\s*[–-]\s*6)?\)/i);
+  return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Escape a string for use inside a double-quoted HTML attribute
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
 /**
  * Get dice wrapper function (from dice.js or fallback)
  */
@@ -245,14 +275,25 @@ function createAbilitiesTable(stats) {
   return `<div class="abilities-table">${cells}</div>`;
 }
 
+/**
+ * Create the available/spent marker for a recharge ability
+ * @param {string} name - Ability name
+ * @param {boolean} available - Whether the ability is ready to use
+ * @returns {string} HTML string
+ */
+function createRechargeToggle(name, available) {
+  return `<button class="recharge-toggle ${available ? 'available' : 'spent'}" data-recharge="${escapeAttribute(name)}" title="${available ? 'Click to spend' : 'Click to mark recharged'}">${available ? 'Available' : 'Spent'}</button>`;
+}
+
 /**
  * Create a section of traits/actions
  * @param {array} items - Array of {name, desc} objects
  * @param {string} sectionTitle - Title for the section (or null for no header)
  * @param {string} className - CSS class for the section
+ * @param {object} recharges - Recharge state by ability name ({ available }), if tracked
  * @returns {string} HTML string
  */
-function createTraitSection(items, sectionTitle = null, className = 'traits-section') {
+function createTraitSection(items, sectionTitle = null, className = 'traits-section', recharges = null) {
   if (!items || !Array.isArray(items) || items.length === 0) return '';
   
   const wrapDice = getDiceWrapper();
@@ -261,9 +302,14 @@ function createTraitSection(items, sectionTitle = null, className = 'traits-sect
     const name = item.name || 'Unnamed';
     const desc = ensureSentence(item.desc || '');
     
+    // Recharge abilities start available when nothing tracks them
+    const rechargeHtml = parseRechargeNotation(name) !== null
+      ? createRechargeToggle(name, recharges?.[name]?.available ?? true)
+      : '';
+    
     return `
       <div class="trait-block">
-        <span class="trait-name">${name}.</span>
+        <span class="trait-name">${name}.</span>${rechargeHtml}
         <span class="trait-desc">${wrapDice(desc)}</span>
       </div>
     `;
@@ -372,7 +418,8 @@ function renderStatBlock(creature, options = {}) {
   const {
     showXP = true,
     showProficiency = false,
-    compactMode = false
+    compactMode = false,
+    recharges = null
   } = options;
 
   // Clean the creature name
@@ -407,6 +454,7 @@ function renderStatBlock(creature, options = {}) {
       <header class="creature-header">
         <h1 class="creature-name">${cleanName || 'Unknown Creature'}</h1>
         <p class="creature-type">${formatTypeString(creature)}</p>
+        ${creature.source ? `<p class="creature-source">Source: ${formatSource(creature.source)}</p>` : ''}
       </header>
       
       ${createTaperedRule()}
@@ -441,19 +489,19 @@ function renderStatBlock(creature, options = {}) {
       ${createTaperedRule()}
       
       <!-- Traits -->
-      ${createTraitSection(creature.traits, null, 'traits-section')}
+      ${createTraitSection(creature.traits, null, 'traits-section', recharges)}
       
       <!-- Spellcasting (if present) -->
       ${createSpellcastingSection(creature.spellcasting)}
       
       <!-- Actions -->
-      ${createTraitSection(creature.actions, 'Actions', 'actions-section')}
+      ${createTraitSection(creature.actions, 'Actions', 'actions-section', recharges)}
       
       <!-- Bonus Actions -->
-      ${createTraitSection(creature.bonus_actions, 'Bonus Actions', 'bonus-actions-section')}
+      ${createTraitSection(creature.bonus_actions, 'Bonus Actions', 'bonus-actions-section', recharges)}
       
       <!-- Reactions -->
-      ${createTraitSection(creature.reactions, 'Reactions', 'reactions-section')}
+      ${createTraitSection(creature.reactions, 'Reactions', 'reactions-section', recharges)}
       
       <!-- Legendary Actions -->
       ${creature.legendary_actions?.length ? `
@@ -462,7 +510,7 @@ function renderStatBlock(creature, options = {}) {
           ${creature.legendary_description ? `<p class="legendary-desc">${creature.legendary_description}</p>` : `
             <p class="legendary-desc">The ${(cleanName || 'creature').toLowerCase()} can take 3 legendary actions, choosing from the options below. Only one legendary action option can be used at a time and only at the end of another creature's turn. The ${(cleanName || 'creature').toLowerCase()} regains spent legendary actions at the start of its turn.</p>
           `}
-          ${createTraitSection(creature.legendary_actions, null, 'legendary-actions-list')}
+          ${createTraitSection(creature.legendary_actions, null, 'legendary-actions-list', recharges)}
         </div>
       ` : ''}
       
@@ -487,6 +535,32 @@ function renderStatBlock(creature, options = {}) {
   return html;
 }
 
+/**
+ * Render only a creature's lair actions (for the lair's turn at initiative 20)
+ * @param {object} creature - Creature data
+ * @returns {string} HTML stat block containing just the lair actions
+ */
+function renderLairActions(creature) {
+  if (!creature?.lair_actions?.length) {
+    return '<div class="stat-block stat-block-error">No lair actions</div>';
+  }
+
+  const cleanName = cleanMonsterName(creature.name) || 'Unknown Creature';
+
+  return `
+    <article class="stat-block lair-block" role="article" aria-label="Lair actions for ${cleanName}">
+      <header class="creature-header">
+        <h1 class="creature-name">${cleanName}'s Lair</h1>
+        <p class="creature-type">Initiative count 20 (losing initiative ties)</p>
+      </header>
+      
+      ${createTaperedRule()}
+      
+      ${createTraitSection(creature.lair_actions, 'Lair Actions', 'lair-actions-section')}
+    </article>
+  `;
+}
+
 /**
  * Render a minimal stat block (for quick reference)
  * @param {object} creature - Creature data
@@ -633,6 +707,13 @@ const statBlockStyles = `
   opacity: 0.8;
 }
 
+.creature-source {
+  font-size: 11px;
+  margin: 2px 0 0;
+  color: var(--sb-text-color);
+  opacity: 0.6;
+}
+
 /* Tapered Rule Divider */
 .tapered-rule {
   display: block;
@@ -735,6 +816,30 @@ const statBlockStyles = `
   color: var(--sb-text-color);
 }
 
+/* Recharge Abilities */
+.recharge-toggle {
+  margin: 0 4px;
+  padding: 0 6px;
+  font-size: 10px;
+  font-weight: 700;
+  text-transform: uppercase;
+  letter-spacing: 0.5px;
+  border-radius: 8px;
+  border: 1px solid currentColor;
+  background: transparent;
+  cursor: pointer;
+  vertical-align: middle;
+}
+
+.recharge-toggle.available {
+  color: #3fa34d;
+}
+
+.recharge-toggle.spent {
+  color: #922610;
+  text-decoration: line-through;
+}
+
 /* Legendary/Mythic Descriptions */
 .legendary-desc,
 .mythic-desc {
@@ -904,6 +1009,7 @@ function initRenderer() {
 export {
   renderStatBlock,
   renderCompactStatBlock,
+  renderLairActions,
   initRenderer,
   injectStatBlockStyles,
   loadStatBlockFonts,
@@ -913,6 +1019,7 @@ export {
   formatTypeString,
   formatSaves,
   formatSkills,
+  parseRechargeNotation,
   ABILITY_NAMES,
   CR_TO_XP,
   CR_TO_PROFICIENCY
@@ -923,6 +1030,7 @@ if (typeof window !== 'undefined') {
   window.StatBlockRenderer = {
     render: renderStatBlock,
     renderCompact: renderCompactStatBlock,
+    renderLair: renderLairActions,
     init: initRenderer,
     injectStyles: injectStatBlockStyles,
     loadFonts: loadStatBlockFonts,
@@ -932,7 +1040,8 @@ if (typeof window !== 'undefined') {
       getProficiency,
       formatTypeString,
       formatSaves,
-      formatSkills
+      formatSkills,
+      parseRechargeNotation
     },
     constants: {
       ABILITY_NAMES,
@@ -0,0 +1,139 @@
+import { initiativeValue } from "./utils";
+import { compareInitiativeEntries } from "./tieBreakers";
+import { isLairEntry } from "./lair";
+
+// Smallest gap left between renumbered initiatives, well above the rounding
+// formatInitiative() does
+const MIN_STEP = 0.01;
+
+/**
+ * Format a computed initiative for storage, trimming float noise
+ * @param {number} value - Numeric initiative
+ * @returns {string} Initiative string
+ */
+function formatInitiative(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Work out the initiative (and tie-break value) that places an entry at a
+ * new position in the turn order, touching as few others as possible
+ *
+ * Between two different initiatives the entry gets the midpoint (e.g. 14.5).
+ * Next to tied entries it shares their initiative and takes a manual order
+ * between theirs; its DEX and PC flag are its own and never change. When
+ * that can't work (the tie-breakers rank a higher DEX ahead of manual
+ * order, or repeated drops have used up the gap) the entry and the ones
+ * below the spot are renumbered, spread over the gap down to the next
+ * initiative with room for them all.
+ *
+ * @param {Object[]} sortedItems - Entries in turn order ({ id, initiative, tieBreaker })
+ * @param {string} movedId - Id of the entry being moved
+ * @param {number} targetIndex - Position in the order once the entry is removed
+ * @param {string[]} tieBreakerOrder - Tie-breaker keys in priority order
+ * @returns {Object[]|null} Changes to make ([{ id, initiative, tieBreaker? }],
+ *   the moved entry first), or null if nothing changes or the position
+ *   can't be reached
+ */
+export function getReorderedInitiative(sortedItems, movedId, targetIndex, tieBreakerOrder) {
+  const fromIndex = sortedItems.findIndex(item => item.id === movedId);
+  if (fromIndex === -1 || targetIndex === fromIndex) return null;
+
+  const placed = [{ id: movedId, ...placeEntry(sortedItems, fromIndex, targetIndex) }];
+  if (sortsIntoPlace(sortedItems, movedId, targetIndex, placed, tieBreakerOrder)) {
+    return placed;
+  }
+
+  const renumbered = renumberFrom(sortedItems, fromIndex, targetIndex);
+  return renumbered && sortsIntoPlace(sortedItems, movedId, targetIndex, renumbered, tieBreakerOrder)
+    ? renumbered
+    : null;
+}
+
+/**
+ * Check that a set of changes gives exactly the wanted order: the moved
+ * entry at its new position and everyone else where they were
+ */
+function sortsIntoPlace(sortedItems, movedId, targetIndex, changes, tieBreakerOrder) {
+  const wanted = sortedItems.filter(item => item.id !== movedId).map(item => item.id);
+  wanted.splice(targetIndex, 0, movedId);
+
+  const changed = sortedItems.map((item) => {
+    const change = changes.find(candidate => candidate.id === item.id);
+    return change ? { ...item, ...change } : item;
+  });
+  const order = changed
+    .sort((a, b) => compareInitiativeEntries(a, b, tieBreakerOrder))
+    .map(item => item.id);
+  return order.every((id, i) => id === wanted[i]);
+}
+
+/**
+ * New initiatives for the moved entry and the entries below its new spot,
+ * spaced at least MIN_STEP apart below the entry above. Entries are taken
+ * in until the next one is low enough to leave room for them all
+ */
+function renumberFrom(sortedItems, fromIndex, targetIndex) {
+  const moved = sortedItems[fromIndex];
+  const others = sortedItems.filter(item => item !== moved);
+  const above = others[targetIndex - 1];
+  const top = above ? initiativeValue(above.initiative) : -Infinity;
+  if (top === -Infinity) return null;
+
+  const group = [moved];
+  let bottom = -Infinity;
+  for (const item of others.slice(targetIndex)) {
+    const value = initiativeValue(item.initiative);
+    if (value <= top - (group.length + 1) * MIN_STEP) {
+      bottom = value;
+      break;
+    }
+    // Lair entries have no item to renumber
+    if (isLairEntry(item.id)) return null;
+    group.push(item);
+  }
+
+  const step = bottom === -Infinity ? 1 : (top - bottom) / (group.length + 1);
+  return group
+    .map((item, i) => ({ id: item.id, initiative: formatInitiative(top - step * (i + 1)) }))
+    .filter((change, i) => i === 0 || change.initiative !== group[i].initiative);
+}
+
+/**
+ * The initiative and tie-break value to try for a position
+ */
+function placeEntry(sortedItems, fromIndex, targetIndex) {
+  const moved = sortedItems[fromIndex];
+  const others = sortedItems.filter(item => item !== moved);
+  const above = others[targetIndex - 1];
+  const below = others[targetIndex];
+  const aboveValue = above ? initiativeValue(above.initiative) : Infinity;
+  const belowValue = below ? initiativeValue(below.initiative) : -Infinity;
+
+  // Moving to the top of the order
+  if (!above) {
+    const value = below && belowValue !== -Infinity ? Math.floor(belowValue) + 1 : 0;
+    return { initiative: formatInitiative(value), tieBreaker: moved.tieBreaker };
+  }
+  // Between two different initiatives, or below the last rolled one
+  if (aboveValue !== belowValue) {
+    const value = belowValue === -Infinity
+      ? Math.ceil(aboveValue) - 1
+      : (aboveValue + belowValue) / 2;
+    return { initiative: formatInitiative(value), tieBreaker: moved.tieBreaker };
+  }
+
+  // Tied with the entry above (and maybe below): share the initiative and
+  // take a manual order between the neighbours'. Orders are often only 1
+  // apart, so the midpoint is used rather than "above + 1"
+  const aboveOrder = above.tieBreaker?.order ?? 0;
+  const belowTied = below && belowValue === aboveValue;
+  const order = belowTied
+    ? (aboveOrder + (below.tieBreaker?.order ?? 0)) / 2
+    : aboveOrder + 1;
+
+  return {
+    initiative: above.initiative,
+    tieBreaker: { ...moved.tieBreaker, order },
+  };
+}
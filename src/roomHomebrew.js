@@ -0,0 +1,101 @@
+import OBR from "@owlbear-rodeo/sdk";
+
+const ID = "com.tutorial.initiative-tracker";
+const HOMEBREW_KEY = `${ID}/homebrew`;
+
+/**
+ * Read the room's homebrew creatures out of a room metadata object
+ * @param {Object} metadata - Room metadata from OBR
+ * @returns {Object} Statblocks keyed by lowercase name
+ */
+export function readRoomHomebrew(metadata) {
+  return metadata?.[HOMEBREW_KEY] || {};
+}
+
+/**
+ * Fetch the homebrew creatures stored in the room
+ * @returns {Promise<Object>} Statblocks keyed by lowercase name
+ */
+export async function getRoomHomebrew() {
+  const metadata = await OBR.room.getMetadata();
+  return readRoomHomebrew(metadata);
+}
+
+/**
+ * Add creatures to the room, replacing any with the same name.
+ * Room metadata is small, so this fails for large bestiaries
+ * @param {Map<string, Object>} creatures - Statblocks keyed by lowercase name
+ */
+export async function addRoomHomebrew(creatures) {
+  const current = await getRoomHomebrew();
+  await OBR.room.setMetadata({
+    [HOMEBREW_KEY]: { ...current, ...Object.fromEntries(creatures) },
+  });
+}
+
+/**
+ * Remove a creature from the room
+ * @param {string} key - Lowercase creature name
+ */
+export async function removeRoomHomebrew(key) {
+  const { [key]: removed, ...rest } = await getRoomHomebrew();
+  await OBR.room.setMetadata({ [HOMEBREW_KEY]: rest });
+}
+
+/**
+ * Subscribe to changes in the room's homebrew creatures. Other room
+ * metadata changes are ignored
+ * @param {Function} callback - Called with the new homebrew creatures
+ * @returns {Function} Unsubscribe function
+ */
+export function onRoomHomebrewChange(callback) {
+  let last;
+  getRoomHomebrew().then((homebrew) => {
+    last ??= JSON.stringify(homebrew);
+  });
+
+  return OBR.room.onMetadataChange((metadata) => {
+    const homebrew = readRoomHomebrew(metadata);
+    const serialized = JSON.stringify(homebrew);
+    if (serialized !== last) {
+      last = serialized;
+      callback(homebrew);
+    }
+  });
+}
+
+/**
+ * Create the in-room homebrew monster source
+ * @returns {Object} Monster source ({ id, name, list, getVersions, get, getLink, getLinked })
+ */
+export function createRoomHomebrewSource() {
+  let creatures = {};
+
+  return {
+    id: "room",
+    name: "Room homebrew",
+    book: "Homebrew",
+
+    async list() {
+      creatures = await getRoomHomebrew();
+      return Object.values(creatures).map(statblock => statblock.name);
+    },
+
+    getVersions() {
+      return new Map(Object.entries(creatures).map(([key, statblock]) => [key, JSON.stringify(statblock)]));
+    },
+
+    async get(name) {
+      return creatures[name.toLowerCase()] ?? null;
+    },
+
+    getLink(name) {
+      const key = name.toLowerCase();
+      return creatures[key] ? { key } : null;
+    },
+
+    async getLinked(link) {
+      return creatures[link.key] ?? null;
+    },
+  };
+}
@@ -0,0 +1,56 @@
+import OBR from "@owlbear-rodeo/sdk";
+
+const ID = "com.tutorial.initiative-tracker";
+const SETTINGS_KEY = `${ID}/settings`;
+
+/**
+ * Room-wide tracker settings shared by every player
+ */
+const DEFAULT_ROOM_SETTINGS = {
+  rollHitDice: false,
+  // Token names that always count as player characters
+  playerCharacterNames: [],
+  // Books whose version of a monster is preferred, first to last
+  bookPriority: [],
+};
+
+/**
+ * Read the tracker settings out of a room metadata object
+ * @param {Object} metadata - Room metadata from OBR
+ * @returns {Object} Room settings
+ */
+export function readRoomSettings(metadata) {
+  return { ...DEFAULT_ROOM_SETTINGS, ...(metadata?.[SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Fetch the tracker settings for the room
+ * @returns {Promise<Object>} Room settings
+ */
+export async function getRoomSettings() {
+  const metadata = await OBR.room.getMetadata();
+  return readRoomSettings(metadata);
+}
+
+/**
+ * Merge an update into the room's tracker settings
+ * @param {Object} update - Partial room settings
+ * @returns {Promise<Object>} The new room settings
+ */
+export async function setRoomSettings(update) {
+  const current = await getRoomSettings();
+  const next = { ...current, ...update };
+  await OBR.room.setMetadata({ [SETTINGS_KEY]: next });
+  return next;
+}
+
+/**
+ * Subscribe to room settings changes
+ * @param {Function} callback - Called with the new room settings
+ * @returns {Function} Unsubscribe function
+ */
+export function onRoomSettingsChange(callback) {
+  return OBR.room.onMetadataChange((metadata) => {
+    callback(readRoomSettings(metadata));
+  });
+}
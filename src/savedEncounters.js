@@ -0,0 +1,75 @@
+import OBR from "@owlbear-rodeo/sdk";
+
+const ID = "com.tutorial.initiative-tracker";
+const ENCOUNTERS_KEY = `${ID}/encounters`;
+
+// OBR rejects room metadata over 16 kB, and the room settings and homebrew
+// creatures share it with saved encounters
+const ROOM_METADATA_LIMIT = 16 * 1024;
+
+/**
+ * Read the room's saved encounters out of a room metadata object
+ * @param {Object} metadata - Room metadata from OBR
+ * @returns {Object[]} [{ name, partyLevels, monsters: [{ key, name, book, cr, count }], savedAt }]
+ */
+export function readSavedEncounters(metadata) {
+  return metadata?.[ENCOUNTERS_KEY] || [];
+}
+
+/**
+ * Fetch the encounters saved in the room
+ * @returns {Promise<Object[]>} Saved encounters, oldest first
+ */
+export async function getSavedEncounters() {
+  const metadata = await OBR.room.getMetadata();
+  return readSavedEncounters(metadata);
+}
+
+/**
+ * Save an encounter to the room, replacing one with the same name.
+ * Only names and numbers are stored; statblocks come from the index.
+ * Fails without writing anything if the room metadata would be too big
+ * @param {Object} encounter - { name, partyLevels, monsters }
+ */
+export async function saveEncounter(encounter) {
+  const metadata = await OBR.room.getMetadata();
+  const others = readSavedEncounters(metadata).filter(saved => saved.name !== encounter.name);
+  const encounters = [...others, { ...encounter, savedAt: Date.now() }];
+
+  const size = new TextEncoder().encode(JSON.stringify({ ...metadata, [ENCOUNTERS_KEY]: encounters })).length;
+  if (size > ROOM_METADATA_LIMIT) {
+    throw new Error("the room is out of space, delete a saved encounter or some room homebrew");
+  }
+  await OBR.room.setMetadata({ [ENCOUNTERS_KEY]: encounters });
+}
+
+/**
+ * Remove a saved encounter from the room
+ * @param {string} name - The encounter's name
+ */
+export async function deleteSavedEncounter(name) {
+  const remaining = (await getSavedEncounters()).filter(saved => saved.name !== name);
+  await OBR.room.setMetadata({ [ENCOUNTERS_KEY]: remaining });
+}
+
+/**
+ * Subscribe to changes in the room's saved encounters. Other room
+ * metadata changes are ignored
+ * @param {Function} callback - Called with the saved encounters
+ * @returns {Function} Unsubscribe function
+ */
+export function onSavedEncountersChange(callback) {
+  let last;
+  getSavedEncounters().then((encounters) => {
+    last ??= JSON.stringify(encounters);
+  });
+
+  return OBR.room.onMetadataChange((metadata) => {
+    const encounters = readSavedEncounters(metadata);
+    const serialized = JSON.stringify(encounters);
+    if (serialized !== last) {
+      last = serialized;
+      callback(encounters);
+    }
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Statblock fields that hold lists of named entries
+ */
+const TRAIT_LISTS = [
+  "traits",
+  "actions",
+  "bonus_actions",
+  "reactions",
+  "legendary_actions",
+  "mythic_actions",
+  "lair_actions",
+];
+
+// Fantasy Statblocks' value for "remove this from the parent"
+const DELETE = "delete";
+
+const isDeleted = (value) => typeof value === "string" && value.trim().toLowerCase() === DELETE;
+
+/**
+ * Names of the creatures a statblock is based on. `monster:` is the older
+ * single-parent form; `extends:` takes one name or a list
+ * @param {Object} statblock - Raw statblock
+ * @returns {string[]} Parent names, earliest (lowest precedence) first
+ */
+export function getParentNames(statblock) {
+  const parents = [];
+  if (typeof statblock?.monster === "string") {
+    parents.push(statblock.monster);
+  }
+  if (statblock?.extends) {
+    parents.push(...[].concat(statblock.extends).filter(name => typeof name === "string"));
+  }
+  return parents;
+}
+
+/**
+ * Merge named entries into an inherited list: same name replaces,
+ * a new name is appended, and `desc: delete` (or an entry that is just
+ * "delete: <name>") removes the inherited entry
+ * @param {Object[]} inherited - List from the parent
+ * @param {Object[]} additions - List from the child
+ * @returns {Object[]} Merged list
+ */
+export function mergeTraitList(inherited, additions) {
+  const merged = Array.isArray(inherited) ? [...inherited] : [];
+
+  for (const entry of additions) {
+    const name = entry?.name ?? entry?.delete;
+    const index = name === undefined ? -1 : merged.findIndex(trait => trait?.name === name);
+    const remove = entry?.delete !== undefined || isDeleted(entry?.desc);
+
+    if (remove) {
+      if (index !== -1) merged.splice(index, 1);
+    } else if (index !== -1) {
+      merged[index] = entry;
+    } else {
+      merged.push(entry);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Apply a child statblock on top of a base
+ *
+ * - `field: value` replaces the base value
+ * - `field: delete` removes it
+ * - `traits+:` (any list field with a trailing +) merges with the base
+ *   list by name instead of replacing it
+ *
+ * @param {Object} base - Inherited statblock
+ * @param {Object} child - Overrides
+ * @returns {Object} Combined statblock
+ */
+export function applyStatblockOverrides(base, child) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(child)) {
+    if (key === "monster" || key === "extends") continue;
+
+    if (key.endsWith("+")) {
+      const field = key.slice(0, -1);
+      result[field] = Array.isArray(value) ? mergeTraitList(result[field], value) : value;
+    } else if (isDeleted(value)) {
+      delete result[key];
+    } else if (TRAIT_LISTS.includes(key) && Array.isArray(value) && value.some(entry => entry?.delete !== undefined)) {
+      // Plain lists replace, but removals still make sense against the parent
+      result[key] = mergeTraitList(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a statblock's `monster:`/`extends:` chain into one flat statblock.
+ * Parents are resolved first (recursively); later parents override earlier
+ * ones and the statblock itself overrides them all.
+ *
+ * Parents are looked up by name, which can match several statblocks (the
+ * same monster in different sources). Each candidate has a ref naming
+ * exactly one of them; the first candidate not already in the chain is
+ * used, so a vault note can base "Goblin" on another source's "Goblin".
+ * A parent that is missing, or whose every candidate is already in the
+ * chain (a cycle), is skipped and logged.
+ *
+ * @param {Object} statblock - Raw statblock
+ * @param {Function} findParents - (name) => [{ ref, load }] in priority order,
+ *   where load() resolves to the raw statblock
+ * @param {string[]} chain - Refs already being resolved, starting with this statblock's
+ * @returns {Promise<Object>} Resolved statblock
+ */
+export async function resolveStatblockInheritance(statblock, findParents, chain) {
+  const parents = getParentNames(statblock);
+  if (!statblock || parents.length === 0) return statblock;
+
+  let base = {};
+  for (const parentName of parents) {
+    const candidates = findParents(parentName);
+    const candidate = candidates.find(option => !chain.includes(option.ref));
+
+    if (!candidate) {
+      if (candidates.length > 0) {
+        console.error(`Statblock inheritance cycle: ${[...chain, candidates[0].ref].join(" → ")}`);
+      } else {
+        console.warn(`"${statblock.name}" is based on "${parentName}", which wasn't found`);
+      }
+      continue;
+    }
+
+    const parent = await candidate.load();
+    if (!parent) continue;
+
+    const resolvedParent = await resolveStatblockInheritance(parent, findParents, [...chain, candidate.ref]);
+    base = applyStatblockOverrides(base, resolvedParent);
+  }
+
+  return applyStatblockOverrides(base, statblock);
+}
@@ -0,0 +1,186 @@
+import OBR from "@owlbear-rodeo/sdk";
+import { getMonsterByTokenName, getLinkedMonster } from "./monsterIndex";
+import { matchMonsterName } from "./nameMatching";
+import { readEntry, writeEntry } from "./entryMetadata";
+import { getInitiativeBonus } from "./initiativeRoll";
+import { createCombatantState } from "./combatantState";
+import { getRoomSettings } from "./roomSettings";
+
+const ID = "com.tutorial.initiative-tracker";
+
+/**
+ * Item metadata key for a token's chosen statblock (see createMonsterLink)
+ */
+export const STATBLOCK_LINK_KEY = `${ID}/statblockLink`;
+
+/**
+ * Id of the "Link Stat Block…" picker modal
+ */
+export const LINK_MODAL_ID = `${ID}/link-statblock`;
+
+/**
+ * Look up a token's statblock, using its link first and its name second
+ * @param {Object} item - The token
+ * @param {Object} monsterIndex - From createMonsterIndex()
+ * @param {Function} [confirmMatch] - Lets the GM settle ambiguous names
+ * @returns {Promise<Object|null>} Parsed statblock, or null if not a monster
+ */
+export async function getMonsterForItem(item, monsterIndex, confirmMatch = null) {
+  const link = item.metadata[STATBLOCK_LINK_KEY];
+  if (link) {
+    const statblock = await getLinkedMonster(link, monsterIndex);
+    if (statblock) {
+      return statblock;
+    }
+    console.warn(`Linked statblock "${link.name}" for "${item.name}" is unavailable, matching by name`);
+  }
+
+  return getMonsterByTokenName(item.name, monsterIndex, confirmMatch);
+}
+
+/**
+ * Move an entry over to a token's new statblock. The DEX tie-breaker and
+ * legendary and recharge tracking come from the new statblock, and the
+ * initiative keeps its d20 roll with the new bonus in place of the old.
+ * Hit points are kept once the creature has taken damage
+ * @param {Object} metadata - Entry metadata, changed in place
+ * @param {Object|null|undefined} previous - Old statblock, undefined if unknown
+ * @param {Object|null|undefined} statblock - New statblock, undefined if it couldn't be loaded
+ * @param {Object} combatantState - From createCombatantState() for the new statblock
+ */
+function retargetEntry(metadata, previous, statblock, combatantState) {
+  const untouched = !metadata.hp || (metadata.hp.current === metadata.hp.max && !metadata.hp.temp);
+  metadata.tieBreaker = { ...metadata.tieBreaker, dex: statblock?.stats?.[1] ?? null };
+
+  // Without the new statblock, leave it for the turn indicator to load
+  if (statblock === undefined) {
+    delete metadata.statblock;
+    metadata.legendary = null;
+    metadata.recharges = null;
+    if (untouched) {
+      metadata.hp = null;
+    }
+    return;
+  }
+
+  metadata.statblock = statblock;
+  metadata.legendary = combatantState.legendary;
+  metadata.recharges = combatantState.recharges;
+  if (untouched) {
+    metadata.hp = combatantState.hp;
+  }
+
+  // Players roll their own; a hand-typed value can't be told apart, so it's adjusted too
+  const initiative = Number(metadata.initiative);
+  if (previous !== undefined && !metadata.tieBreaker.player && metadata.initiative !== "" && Number.isFinite(initiative)) {
+    metadata.initiative = String(initiative - getInitiativeBonus(previous) + getInitiativeBonus(statblock));
+  }
+}
+
+/**
+ * Link tokens to a statblock, or remove their link, moving what was worked
+ * out from the old statblock over to the new one (see retargetEntry)
+ * @param {string[]} itemIds - Tokens to link
+ * @param {Object|null} link - From createMonsterLink(), or null to go back to name matching
+ * @param {Object} monsterIndex - From createMonsterIndex(), to load both statblocks
+ * @param {DiceRoller} diceRoller - Rolls hit points if the room rolls hit dice
+ */
+export async function setStatblockLink(itemIds, link, monsterIndex, diceRoller) {
+  const lookUp = (item) => getMonsterForItem(item, monsterIndex).catch((e) => {
+    console.error(`Failed to look up "${item.name}":`, e);
+    return undefined;
+  });
+
+  // Load the old and new statblocks before changing anything
+  const settings = await getRoomSettings();
+  const lookups = new Map();
+  for (const item of await OBR.scene.items.getItems(itemIds)) {
+    const metadata = readEntry(item);
+    if (!metadata) continue;
+
+    const relinked = { ...item, metadata: { ...item.metadata, [STATBLOCK_LINK_KEY]: link ?? undefined } };
+    const previous = metadata.statblock !== undefined ? metadata.statblock : await lookUp(item);
+    const statblock = await lookUp(relinked);
+    lookups.set(item.id, {
+      previous,
+      statblock,
+      combatantState: statblock === undefined ? null : createCombatantState(statblock, diceRoller, settings),
+    });
+  }
+
+  await OBR.scene.items.updateItems(itemIds, (items) => {
+    for (let item of items) {
+      if (link) {
+        item.metadata[STATBLOCK_LINK_KEY] = link;
+      } else {
+        delete item.metadata[STATBLOCK_LINK_KEY];
+      }
+
+      const metadata = readEntry(item);
+      const lookup = lookups.get(item.id);
+      if (metadata && lookup) {
+        retargetEntry(metadata, lookup.previous, lookup.statblock, lookup.combatantState);
+        writeEntry(item, metadata);
+      }
+    }
+  });
+}
+
+/**
+ * Drop the statblocks cached on tokens that match, keeping hit points and
+ * other tracked state
+ * @param {Function} isAffected - (item, metadata) => true to clear it
+ * @returns {Promise<string[]>} Ids of the tokens that were cleared
+ */
+async function clearCachedStatblocks(isAffected) {
+  const items = await OBR.scene.items.getItems((item) => {
+    const metadata = readEntry(item);
+    return metadata?.statblock !== undefined && isAffected(item, metadata);
+  });
+  if (items.length === 0) return [];
+
+  const ids = items.map(item => item.id);
+  await OBR.scene.items.updateItems(ids, (itemsToUpdate) => {
+    for (let item of itemsToUpdate) {
+      const metadata = readEntry(item);
+      delete metadata.statblock;
+      writeEntry(item, metadata);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Drop the statblocks cached on tokens for monsters that changed, so the
+ * turn indicator loads the new version. A token is affected if it links to
+ * a changed monster, or its name (or its cached statblock's name) matches
+ * one; tokens cached as "not a monster" are retried if their name now
+ * matches an added one. Hit points and other tracked state are kept.
+ * @param {Object[]} changes - From refreshMonsterIndex(): [{ sourceId, key }]
+ * @returns {Promise<string[]>} Ids of the tokens that were cleared
+ */
+export async function clearChangedStatblocks(changes) {
+  if (changes.length === 0) return [];
+
+  const changedKeys = [...new Set(changes.map(change => change.key))];
+  return clearCachedStatblocks((item, metadata) => {
+    const link = item.metadata[STATBLOCK_LINK_KEY];
+    if (link) {
+      return changes.some(change => change.sourceId === link.sourceId && change.key === link.name.toLowerCase());
+    }
+    const cachedName = metadata.statblock?.name?.toLowerCase();
+    return changedKeys.includes(cachedName) || matchMonsterName(item.name, changedKeys).match !== null;
+  });
+}
+
+/**
+ * Drop the statblocks cached on tokens matched by name, after the book
+ * priority changes which variant a name finds. Linked tokens keep theirs,
+ * and so do tokens cached as "not a monster"
+ * @returns {Promise<string[]>} Ids of the tokens that were cleared
+ */
+export function clearUnlinkedStatblocks() {
+  return clearCachedStatblocks(
+    (item, metadata) => metadata.statblock !== null && !item.metadata[STATBLOCK_LINK_KEY]
+  );
+}
@@ -0,0 +1,95 @@
+import OBR from "@owlbear-rodeo/sdk";
+import { initiativeValue } from "./utils";
+
+const ID = "com.tutorial.initiative-tracker";
+const TIE_BREAKERS_KEY = `${ID}/tieBreakers`;
+
+/**
+ * Available tie-breakers, each comparing two tie-break values
+ * ({ dex, player, order }) so the one that should act first sorts first
+ */
+export const TIE_BREAKERS = {
+  dex: (a, b) => (b.dex ?? 10) - (a.dex ?? 10),
+  player: (a, b) => Number(Boolean(b.player)) - Number(Boolean(a.player)),
+  order: (a, b) => (a.order ?? 0) - (b.order ?? 0),
+};
+
+/**
+ * Tie-breaker orders the GM can choose between
+ */
+export const TIE_BREAKER_PRESETS = [
+  { value: ["dex", "player", "order"], label: "Ties: DEX, PCs, order" },
+  { value: ["player", "dex", "order"], label: "Ties: PCs, DEX, order" },
+  { value: ["dex", "order"], label: "Ties: DEX, order" },
+  { value: ["order"], label: "Ties: order added" },
+];
+
+const DEFAULT_TIE_BREAKERS = TIE_BREAKER_PRESETS[0].value;
+
+/**
+ * Build the tie-break value stored in an item's initiative metadata
+ * @param {Object|null} statblock - The creature's statblock, if any
+ * @param {boolean} player - Whether the token is a player character
+ * @param {number} order - Stable manual order (lower acts first)
+ * @returns {Object} Tie-break value ({ dex, player, order })
+ */
+export function createTieBreaker(statblock, player, order) {
+  return {
+    dex: statblock?.stats?.[1] ?? null,
+    player,
+    order,
+  };
+}
+
+/**
+ * Read the configured tie-breaker order out of a scene metadata object
+ * @param {Object} metadata - Scene metadata from OBR
+ * @returns {string[]} Tie-breaker keys in priority order
+ */
+export function readTieBreakerOrder(metadata) {
+  const order = metadata?.[TIE_BREAKERS_KEY];
+  return Array.isArray(order) ? order : DEFAULT_TIE_BREAKERS;
+}
+
+/**
+ * Save the tie-breaker order for the scene
+ * @param {string[]} order - Tie-breaker keys in priority order
+ */
+export async function setTieBreakerOrder(order) {
+  await OBR.scene.setMetadata({ [TIE_BREAKERS_KEY]: order });
+}
+
+/**
+ * Compare two tie-break values using the configured tie-breakers
+ * Falls back to item id so the result never depends on scene item order
+ * @param {Object} a - First entry ({ id, tieBreaker })
+ * @param {Object} b - Second entry ({ id, tieBreaker })
+ * @param {string[]} order - Tie-breaker keys in priority order
+ * @returns {number} Sort comparison result
+ */
+export function compareTieBreakers(a, b, order) {
+  for (const key of order) {
+    const compare = TIE_BREAKERS[key];
+    if (!compare) continue;
+
+    const result = compare(a.tieBreaker || {}, b.tieBreaker || {});
+    if (result !== 0) return result;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Compare two initiative entries for the turn order: highest initiative
+ * first, lair entries losing every tie, then the configured tie-breakers
+ * @param {Object} a - First entry ({ id, initiative, lair, tieBreaker })
+ * @param {Object} b - Second entry ({ id, initiative, lair, tieBreaker })
+ * @param {string[]} order - Tie-breaker keys in priority order
+ * @returns {number} Sort comparison result
+ */
+export function compareInitiativeEntries(a, b, order) {
+  const aValue = initiativeValue(a.initiative);
+  const bValue = initiativeValue(b.initiative);
+  if (aValue !== bValue) return bValue > aValue ? 1 : -1;
+  if (Boolean(a.lair) !== Boolean(b.lair)) return a.lair ? 1 : -1;
+  return compareTieBreakers(a, b, order);
+}
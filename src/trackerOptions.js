@@ -0,0 +1,48 @@
+import { getRoomSettings, setRoomSettings, onRoomSettingsChange } from "./roomSettings";
+
+/**
+ * Wire up the collapsible tracker options panel
+ * @param {Object} elements - Panel elements
+ * @param {HTMLButtonElement} elements.toggleButton - Shows/hides the panel
+ * @param {HTMLElement} elements.panel - The options panel
+ * @param {HTMLInputElement} elements.rollHitDiceCheckbox - Roll NPC hit dice instead of using average hp
+ * @param {HTMLTextAreaElement} elements.playerNamesInput - Token names that always count as PCs
+ * @param {HTMLInputElement} elements.bookPriorityInput - Preferred books, comma separated
+ */
+export function setupTrackerOptions(elements) {
+  const { toggleButton, panel, rollHitDiceCheckbox, playerNamesInput, bookPriorityInput } = elements;
+
+  const applySettings = (settings) => {
+    rollHitDiceCheckbox.checked = settings.rollHitDice;
+
+    // Don't overwrite the list while the GM is typing in it
+    if (document.activeElement !== playerNamesInput) {
+      playerNamesInput.value = settings.playerCharacterNames.join("\n");
+    }
+    if (document.activeElement !== bookPriorityInput) {
+      bookPriorityInput.value = settings.bookPriority.join(", ");
+    }
+  };
+
+  toggleButton.addEventListener("click", () => {
+    panel.hidden = !panel.hidden;
+    toggleButton.classList.toggle("open", !panel.hidden);
+  });
+
+  rollHitDiceCheckbox.addEventListener("change", (e) => {
+    setRoomSettings({ rollHitDice: e.target.checked });
+  });
+
+  playerNamesInput.addEventListener("change", (e) => {
+    const names = e.target.value.split("\n").map(name => name.trim()).filter(Boolean);
+    setRoomSettings({ playerCharacterNames: names });
+  });
+
+  bookPriorityInput.addEventListener("change", (e) => {
+    const books = e.target.value.split(",").map(book => book.trim()).filter(Boolean);
+    setRoomSettings({ bookPriority: books });
+  });
+
+  getRoomSettings().then(applySettings);
+  onRoomSettingsChange(applySettings);
+}
@@ -0,0 +1,55 @@
+import OBR from "@owlbear-rodeo/sdk";
+import { expireConditions, restoreConditions } from "./conditions";
+import { resetLegendaryActions, adjustLegendary } from "./legendary";
+import { isLairEntry } from "./lair";
+import { rollRecharges, spendRecharges } from "./recharge";
+
+/**
+ * Run everything that happens automatically when Next Turn advances:
+ * end-of-turn effects for the creature leaving, start-of-turn effects for
+ * the creature arriving
+ * @param {Object} transition - { fromId, fromRound, toId, toRound }
+ * @param {DiceRoller} diceRoller - Rolls recharge dice
+ * @returns {Promise<Object>} What changed, for revertTurnEffects()
+ *   ({ itemId, legendaryRegained, recharged, expired: [{ itemId, condition }] })
+ */
+export async function applyTurnEffects(transition, diceRoller) {
+  const effects = { itemId: transition.toId, legendaryRegained: 0, recharged: [], expired: [] };
+
+  if (!isLairEntry(transition.toId)) {
+    // Legendary creatures regain spent actions at the start of their turn
+    effects.legendaryRegained = await resetLegendaryActions(transition.toId);
+
+    // Spent recharge abilities roll to come back at the start of the turn
+    const recharges = await rollRecharges(transition.toId, diceRoller);
+    for (const { name, roll, recharged } of recharges) {
+      OBR.notification.show(
+        `${name}: rolled ${roll}, ${recharged ? "recharged!" : "still spent"}`,
+        recharged ? "SUCCESS" : "DEFAULT"
+      );
+    }
+    effects.recharged = recharges.filter(result => result.recharged).map(result => result.name);
+  }
+
+  const expired = await expireConditions(transition);
+  for (const { itemName, name } of expired) {
+    OBR.notification.show(`${name} ended on ${itemName}`, "INFO");
+  }
+  effects.expired = expired.map(({ itemId, condition }) => ({ itemId, condition }));
+  return effects;
+}
+
+/**
+ * Put back what a turn change did: spend the legendary actions and
+ * recharges it restored and bring back the conditions it ended
+ * @param {Object} effects - From applyTurnEffects(), kept with the turn history
+ */
+export async function revertTurnEffects(effects) {
+  if (effects.legendaryRegained > 0) {
+    await adjustLegendary(effects.itemId, "actions", -effects.legendaryRegained);
+  }
+  if (effects.recharged.length > 0) {
+    await spendRecharges(effects.itemId, effects.recharged);
+  }
+  await restoreConditions(effects.expired);
+}
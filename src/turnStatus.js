@@ -0,0 +1,86 @@
+import { adjustLegendary } from "./legendary";
+import { readEntry } from "./entryMetadata";
+
+/**
+ * Build a row of pips for a legendary counter
+ * Clicking a filled pip spends one, clicking an empty pip regains one
+ * @param {Object} item - Item with the counter
+ * @param {string} kind - "actions" or "resistances"
+ * @param {string} label - Row label
+ * @returns {HTMLElement} Pip row
+ */
+function createPipRow(item, kind, label) {
+  const counter = readEntry(item).legendary[kind];
+
+  const row = document.createElement("div");
+  row.className = "legendary-row";
+
+  const labelElement = document.createElement("span");
+  labelElement.className = "legendary-label";
+  labelElement.textContent = label;
+  row.appendChild(labelElement);
+
+  for (let i = 0; i < counter.max; i++) {
+    const filled = i < counter.remaining;
+    const pip = document.createElement("button");
+    pip.className = `legendary-pip ${kind}${filled ? " filled" : ""}`;
+    pip.title = filled ? `Spend ${label.toLowerCase()}` : `Regain ${label.toLowerCase()}`;
+    pip.addEventListener("click", () => {
+      adjustLegendary(item.id, kind, filled ? -1 : 1);
+    });
+    row.appendChild(pip);
+  }
+
+  return row;
+}
+
+/**
+ * Render live combat state above the statblock: concentration for the
+ * active creature, and legendary counters for every legendary creature in
+ * initiative (legendary actions are spent on other creatures' turns)
+ * @param {HTMLElement} container - Status container
+ * @param {Object[]} items - Scene items
+ * @param {string|null} activeId - Id of the creature whose turn it is
+ * @returns {boolean} True if anything was rendered
+ */
+export function renderTurnStatus(container, items, activeId) {
+  const nodes = [];
+
+  const activeCharacter = items.find(item => item.id === activeId);
+  const concentration = activeCharacter && readEntry(activeCharacter)?.concentration;
+  if (concentration) {
+    const badge = document.createElement("span");
+    badge.className = "concentration-badge";
+    badge.textContent = concentration.spell
+      ? `Concentrating on ${concentration.spell}`
+      : "Concentrating";
+    nodes.push(badge);
+  }
+
+  for (const item of items) {
+    const legendary = readEntry(item)?.legendary;
+    if (!legendary) continue;
+
+    const tracker = document.createElement("div");
+    tracker.className = "legendary-tracker";
+    if (item.id === activeId) {
+      tracker.classList.add("active");
+    }
+
+    const name = document.createElement("div");
+    name.className = "legendary-name";
+    name.textContent = item.name;
+    tracker.appendChild(name);
+
+    if (legendary.actions) {
+      tracker.appendChild(createPipRow(item, "actions", "Legendary Actions"));
+    }
+    if (legendary.resistances) {
+      tracker.appendChild(createPipRow(item, "resistances", "Legendary Resistance"));
+    }
+    nodes.push(tracker);
+  }
+
+  container.replaceChildren(...nodes);
+  return nodes.length > 0;
+}
@@ -1,8 +1,10 @@
 /**
- * Check if a character is a player character
- * @param {Object} character - The character item from OBR
- * @returns {boolean} True if the character is a player, false otherwise
+ * Convert a stored initiative to a sortable number
+ * Blank initiatives (PCs who haven't rolled yet) sort to the bottom
+ * @param {string} initiative - Initiative value from item metadata
+ * @returns {number} Numeric initiative
  */
-export function isPlayer(character) {
-  return character && character.name === "Mirabel Mira Thorne";
+export function initiativeValue(initiative) {
+  const value = parseFloat(initiative);
+  return Number.isNaN(value) ? -Infinity : value;
 }
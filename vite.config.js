@@ -8,4 +8,12 @@ export default defineConfig({
       origin: "https://www.owlbear.rodeo",
     },
   },
+  build: {
+    rollupOptions: {
+      input: {
+        main: "index.html",
+        linkStatblock: "link-statblock.html",
+      },
+    },
+  },
 });
\ No newline at end of file